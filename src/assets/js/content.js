@@ -0,0 +1,77 @@
+import { locale } from "@/assets/js/useI18n";
+
+// every file in src/content, already checked against src/content/config.js
+// by vite/content.js: Markdown modules are { data, html, text }, JSON
+// modules are the data itself
+const files = import.meta.globEager("../../content/*/*.{md,json}");
+
+// "../../content/posts/race-day.md" -> { collection: "posts", id: "race-day" }
+const entries = Object.entries(files).map(([path, module]) => {
+  const [, collection, id, extension] = path.match(
+    /\/content\/([^/]+)\/([^/]+)\.(\w+)$/
+  );
+  const {
+    data,
+    html = "",
+    text = "",
+  } = extension === "md" ? module.default : { data: module.default };
+
+  return { id, collection, data, html, text };
+});
+
+// by `order` when the collection has one, else newest `date` first
+function compare(a, b) {
+  if (a.data.order !== undefined || b.data.order !== undefined) {
+    return (a.data.order ?? 0) - (b.data.order ?? 0);
+  }
+  if (a.data.date || b.data.date) {
+    return (b.data.date || "").localeCompare(a.data.date || "");
+  }
+  return a.id.localeCompare(b.id);
+}
+
+// [{ id, collection, data, html, text }], `filter` gets each entry
+export function getCollection(name, filter = () => true) {
+  return entries
+    .filter((entry) => entry.collection === name && filter(entry))
+    .sort(compare);
+}
+
+export function getEntry(name, id) {
+  return entries.find((entry) => entry.collection === name && entry.id === id);
+}
+
+export function getByTag(name, tag) {
+  return getCollection(name, ({ data }) => data.tags?.includes(tag));
+}
+
+export function getByAuthor(name, author) {
+  return getCollection(name, ({ data }) => data.author === author);
+}
+
+// entries dated between `from` and `to`, both "YYYY-MM-DD" and inclusive,
+// either may be left out
+export function getByDate(name, { from = "", to = "9999-12-31" } = {}) {
+  return getCollection(
+    name,
+    ({ data }) => !!data.date && data.date >= from && data.date <= to
+  );
+}
+
+// [{ tag, count }], most used first
+export function getTags(name) {
+  const counts = {};
+  getCollection(name).forEach(({ data }) =>
+    (data.tags || []).forEach((tag) => (counts[tag] = (counts[tag] || 0) + 1))
+  );
+
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// fields declared with s.localized() hold a string or one per language
+export function localize(value) {
+  if (!value || typeof value !== "object") return value;
+  return value[locale.value] ?? value.en;
+}
@@ -0,0 +1,74 @@
+import bootstrap from "bootstrap/dist/js/bootstrap.min.js";
+
+const PLACEMENTS = ["top", "right", "bottom", "left", "auto"];
+const CONTENT_KEYS = ["title", "content"];
+
+function getOptions(binding, contentKey) {
+  const { value, modifiers } = binding;
+  const options =
+    value && typeof value === "object" && !(value instanceof Element)
+      ? { ...value }
+      : { [contentKey]: value };
+
+  const placement = PLACEMENTS.find((name) => modifiers[name]);
+  if (placement && !options.placement) options.placement = placement;
+
+  // slot content rendered elsewhere in the template can be passed as an element
+  if (CONTENT_KEYS.some((key) => options[key] instanceof Element)) {
+    options.html = options.html ?? true;
+  }
+
+  return options;
+}
+
+function hasSameConfig(options, oldOptions) {
+  const keys = new Set([...Object.keys(options), ...Object.keys(oldOptions)]);
+  return [...keys].every(
+    (key) => CONTENT_KEYS.includes(key) || options[key] === oldOptions[key]
+  );
+}
+
+function create(el, name, options) {
+  // the overlay is appended to body so it never ends up inside DOM owned by Vue
+  const config = { container: "body", ...options };
+  // content is read lazily so it can change without recreating the instance
+  CONTENT_KEYS.forEach((key) => {
+    if (key in options) config[key] = () => el._overlay.options[key];
+  });
+
+  el._overlay = { options, instance: new bootstrap[name](el, config) };
+}
+
+function destroy(el) {
+  el._overlay.instance.dispose();
+  delete el._overlay;
+}
+
+// Builds a directive around a Bootstrap Tooltip or Popover. The value is the
+// content, or an object with Bootstrap options; modifiers set the placement.
+export function createOverlayDirective(name, contentKey) {
+  return {
+    mounted(el, binding) {
+      create(el, name, getOptions(binding, contentKey));
+    },
+    updated(el, binding) {
+      const options = getOptions(binding, contentKey);
+      const { instance, options: oldOptions } = el._overlay;
+
+      if (!hasSameConfig(options, oldOptions)) {
+        destroy(el);
+        create(el, name, options);
+        return;
+      }
+
+      el._overlay.options = options;
+      if (instance.tip && instance.tip.classList.contains("show")) {
+        instance.setContent(instance.tip);
+        instance.update();
+      }
+    },
+    unmounted(el) {
+      destroy(el);
+    },
+  };
+}
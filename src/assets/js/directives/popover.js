@@ -0,0 +1,4 @@
+import { createOverlayDirective } from "./overlay";
+
+// v-popover.right="'Text'" or v-popover="{ title, content, placement, trigger }"
+export default createOverlayDirective("Popover", "content");
@@ -0,0 +1,50 @@
+// v-ripple: material click ripple for buttons and links.
+// Pass `false` to opt out, or `{ color, duration, disabled }` to customise it.
+const DEFAULT_DURATION = 650;
+
+function getOptions(value) {
+  if (value === false) return { disabled: true };
+  return value && typeof value === "object" ? value : {};
+}
+
+function onClick(event) {
+  const el = event.currentTarget;
+  const { color, duration = DEFAULT_DURATION, disabled } = el._ripple.options;
+  if (disabled) return;
+
+  const rect = el.getBoundingClientRect();
+  const size = Math.max(rect.width, rect.height);
+  // keyboard activated clicks have no pointer position, start from the center
+  const x = event.detail ? event.clientX - rect.left : rect.width / 2;
+  const y = event.detail ? event.clientY - rect.top : rect.height / 2;
+
+  const ripple = document.createElement("span");
+  ripple.classList.add("ripple");
+  ripple.style.width = ripple.style.height = `${size}px`;
+  ripple.style.left = `${x - size / 2}px`;
+  ripple.style.top = `${y - size / 2}px`;
+  ripple.style.animationDuration = `${duration}ms`;
+  if (color) ripple.style.background = color;
+  el.appendChild(ripple);
+
+  const timer = setTimeout(() => {
+    ripple.remove();
+    el._ripple?.timers.delete(timer);
+  }, duration);
+  el._ripple.timers.add(timer);
+}
+
+export default {
+  mounted(el, binding) {
+    el._ripple = { options: getOptions(binding.value), timers: new Set() };
+    el.addEventListener("click", onClick);
+  },
+  updated(el, binding) {
+    el._ripple.options = getOptions(binding.value);
+  },
+  unmounted(el) {
+    el.removeEventListener("click", onClick);
+    el._ripple.timers.forEach(clearTimeout);
+    delete el._ripple;
+  },
+};
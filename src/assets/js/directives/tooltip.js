@@ -0,0 +1,4 @@
+import { createOverlayDirective } from "./overlay";
+
+// v-tooltip.bottom="'Text'" or v-tooltip="{ title, placement, trigger, html }"
+export default createOverlayDirective("Tooltip", "title");
@@ -0,0 +1,103 @@
+// Subsequence matching for the command palette: every character of the
+// query must appear in the text, in order. Matches at the start of words and
+// runs of consecutive characters score higher.
+
+const WORD_START = 8;
+const CONSECUTIVE = 5;
+const MATCH = 1;
+// per skipped character, so tighter matches win
+const GAP = 0.1;
+
+function isWordStart(text, index) {
+  return index === 0 || /[\s\-_/.(]/.test(text[index - 1]);
+}
+
+function match(needle, haystack, text, preferWordStarts) {
+  const indices = [];
+  let score = 0;
+  let from = 0;
+
+  for (const char of needle) {
+    let index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+
+    const last = indices[indices.length - 1];
+    // jump ahead to a word start holding the character unless this one
+    // continues a run
+    if (preferWordStarts && index !== last + 1) {
+      let candidate = index;
+      while (candidate !== -1 && !isWordStart(text, candidate)) {
+        candidate = haystack.indexOf(char, candidate + 1);
+      }
+      if (candidate !== -1) index = candidate;
+    }
+
+    score += MATCH;
+    if (isWordStart(text, index)) score += WORD_START;
+    if (index === last + 1) score += CONSECUTIVE;
+    score -= (index - from) * GAP;
+
+    indices.push(index);
+    from = index + 1;
+  }
+
+  return { score, indices };
+}
+
+// -> { score, indices } or null, `indices` are the matched positions in text
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  const haystack = text.toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+
+  // jumping to word starts can use up characters a later one needed
+  return (
+    match(needle, haystack, text, true) || match(needle, haystack, text, false)
+  );
+}
+
+// [{ item, score, matches: { [key]: indices } }] best first, an item matches
+// when any of `keys` does and scores by its best key
+export function fuzzySearch(items, query, keys = ["title"]) {
+  return (
+    items
+      .map((item) => {
+        const matches = {};
+        let best = null;
+
+        keys.forEach((key) => {
+          const match = item[key] ? fuzzyMatch(query, item[key]) : null;
+          if (!match) return;
+
+          matches[key] = match.indices;
+          // the first key counts double, titles beat descriptions
+          const score = key === keys[0] ? match.score * 2 : match.score;
+          if (best === null || score > best) best = score;
+        });
+
+        return best === null ? null : { item, score: best, matches };
+      })
+      .filter(Boolean)
+      // equal scores: the shorter text is the closer match
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          String(a.item[keys[0]]).length - String(b.item[keys[0]]).length
+      )
+  );
+}
+
+// "Buttons", [0, 1] -> [{ text: "Bu", match: true }, { text: "ttons" }]
+export function highlightMatches(text, indices = []) {
+  const matched = new Set(indices);
+  const parts = [];
+
+  [...text].forEach((char, index) => {
+    const match = matched.has(index);
+    const last = parts[parts.length - 1];
+    if (last && last.match === match) last.text += char;
+    else parts.push({ text: char, match });
+  });
+
+  return parts;
+}
@@ -0,0 +1,123 @@
+// Builds RFC 5545 calendar files in the browser, no server round trip.
+
+const PRODID = "-//Egyptian Rowing Federation//Calendar//EN";
+
+// "2024-04-12" is an all-day date, anything with a time is converted to UTC
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function formatDate(value) {
+  return value.replace(/-/g, "");
+}
+
+// "2024-04-12T08:30:00+02:00" -> "20240412T063000Z"
+function formatDateTime(value) {
+  return new Date(value)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+// all-day events end on the following day, DTEND is exclusive
+function nextDay(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function escape(text = "") {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function getByteLength(character) {
+  const code = character.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+}
+
+// lines longer than 75 octets of UTF-8 continue on the next line after a
+// space, which counts towards its 75, and never in the middle of a character
+function fold(line) {
+  const parts = [];
+  let part = "";
+  let length = 0;
+
+  for (const character of line) {
+    const size = getByteLength(character);
+    if (length + size > 75) {
+      parts.push(part);
+      part = " ";
+      length = 1;
+    }
+    part += character;
+    length += size;
+  }
+  parts.push(part);
+  return parts.join("\r\n");
+}
+
+function createEvent({ id, title, description, location, url, start, end }) {
+  const allDay = isDate(start);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${id}@rowing.eg`,
+    `DTSTAMP:${formatDateTime(Date.now())}`,
+  ];
+
+  if (allDay) {
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDate(start)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(end || start))}`
+    );
+  } else {
+    lines.push(
+      `DTSTART:${formatDateTime(start)}`,
+      `DTEND:${formatDateTime(end || start)}`
+    );
+  }
+
+  lines.push(`SUMMARY:${escape(title)}`);
+  if (description) lines.push(`DESCRIPTION:${escape(description)}`);
+  if (location) lines.push(`LOCATION:${escape(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push("END:VEVENT");
+
+  return lines;
+}
+
+// events: [{ id, title, start, end?, description?, location?, url? }]
+export function createCalendar(events) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...events.flatMap(createEvent),
+    "END:VCALENDAR",
+  ]
+    .map(fold)
+    .join("\r\n");
+}
+
+export function downloadCalendar(filename, events) {
+  const blob = new Blob([createCalendar(events)], {
+    type: "text/calendar;charset=utf-8",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = filename.endsWith(".ics") ? filename : `${filename}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // some browsers only start reading the blob after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,111 @@
+import photoswipeUrl from "@/assets/js/plugins/photoswipe.min.js?url";
+import photoswipeUiUrl from "@/assets/js/plugins/photoswipe-ui-default.min.js?url";
+import { t } from "@/assets/js/useI18n";
+
+// PhotoSwipe 4 as vendored in ./plugins. Its UMD builds set window.PhotoSwipe
+// and window.PhotoSwipeUI_Default when run as classic scripts, so they are
+// added to the page the first time a lightbox opens. The styles are in
+// scss/material-kit/plugins/free/_photoswipe.scss.
+
+const template = `
+  <div class="pswp__bg"></div>
+  <div class="pswp__scroll-wrap">
+    <div class="pswp__container">
+      <div class="pswp__item"></div>
+      <div class="pswp__item"></div>
+      <div class="pswp__item"></div>
+    </div>
+    <div class="pswp__ui pswp__ui--hidden">
+      <div class="pswp__top-bar">
+        <div class="pswp__counter"></div>
+        <button type="button" class="pswp__button pswp__button--close"></button>
+        <button type="button" class="pswp__button pswp__button--share"></button>
+        <button type="button" class="pswp__button pswp__button--fs"></button>
+        <button type="button" class="pswp__button pswp__button--zoom"></button>
+        <div class="pswp__preloader">
+          <div class="pswp__preloader__icn"></div>
+        </div>
+      </div>
+      <div class="pswp__share-modal pswp__share-modal--hidden pswp__single-tap">
+        <div class="pswp__share-tooltip"></div>
+      </div>
+      <button type="button" class="pswp__button pswp__button--arrow--left"></button>
+      <button type="button" class="pswp__button pswp__button--arrow--right"></button>
+      <div class="pswp__caption">
+        <div class="pswp__caption__center"></div>
+      </div>
+    </div>
+  </div>`;
+
+// button class -> message, set on every open so they follow the language
+const labels = {
+  close: "lightbox.close",
+  share: "lightbox.share",
+  fs: "lightbox.fullscreen",
+  zoom: "lightbox.zoom",
+  "arrow--left": "lightbox.previous",
+  "arrow--right": "lightbox.next",
+};
+
+let loading = null;
+let element = null;
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Could not load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+// the UI script needs PhotoSwipe to be there first
+export function loadPhotoSwipe() {
+  if (!loading) {
+    loading = loadScript(photoswipeUrl)
+      .then(() => loadScript(photoswipeUiUrl))
+      .then(() => ({
+        PhotoSwipe: window.PhotoSwipe,
+        PhotoSwipeUI: window.PhotoSwipeUI_Default,
+      }))
+      .catch((error) => {
+        loading = null;
+        throw error;
+      });
+  }
+  return loading;
+}
+
+function getElement() {
+  if (!element) {
+    element = document.createElement("div");
+    element.className = "pswp";
+    element.tabIndex = -1;
+    element.setAttribute("role", "dialog");
+    element.setAttribute("aria-hidden", "true");
+    element.innerHTML = template;
+    document.body.appendChild(element);
+  }
+
+  Object.entries(labels).forEach(([name, key]) => {
+    const button = element.querySelector(`.pswp__button--${name}`);
+    button.title = t(key);
+    button.setAttribute("aria-label", t(key));
+  });
+  return element;
+}
+
+// opens `items` ({ src, w, h } images or { html } slides) and resolves with
+// the PhotoSwipe instance, `options` are those of PhotoSwipe and its UI
+export async function openPhotoSwipe(items, options = {}) {
+  const { PhotoSwipe, PhotoSwipeUI } = await loadPhotoSwipe();
+  const gallery = new PhotoSwipe(getElement(), PhotoSwipeUI, items, {
+    history: false,
+    errorMsg: `<div class="pswp__error-msg">${t("lightbox.error")}</div>`,
+    ...options,
+  });
+
+  gallery.init();
+  return gallery;
+}
@@ -1,11 +0,0 @@
-/* eslint-disable */
-
-// initialization of Tooltips
-export default function setPopover(bootstrap) {
-  let popoverTriggerList = [].slice.call(
-    document.querySelectorAll('[data-bs-toggle="popover"]')
-  );
-  let popoverList = popoverTriggerList.map(function (popoverTriggerEl) {
-    return new bootstrap.Popover(popoverTriggerEl);
-  });
-}
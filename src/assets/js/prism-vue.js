@@ -0,0 +1,43 @@
+import prism from "prismjs";
+
+// Vue single file components: the markup grammar already highlights
+// <script> as JavaScript and <style> as CSS, this adds `{{ }}` interpolations
+// and the JavaScript in `v-*`, `:prop`, `@event` and `#slot` attributes.
+const javascript = prism.languages.javascript;
+
+prism.languages.vue = prism.languages.extend("markup", {});
+
+prism.languages.insertBefore("vue", "tag", {
+  interpolation: {
+    pattern: /\{\{[\s\S]*?\}\}/,
+    inside: {
+      delimiter: { pattern: /^\{\{|\}\}$/, alias: "punctuation" },
+      rest: javascript,
+    },
+  },
+});
+
+prism.languages.insertBefore(
+  "inside",
+  "attr-value",
+  {
+    directive: {
+      pattern:
+        /(?:v-[\w-]+(?::[\w.[\]-]+)?|[:@#][\w.[\]-]+)\s*=\s*(?:"[^"]*"|'[^']*')/,
+      inside: {
+        "attr-name": /^[^\s=]+/,
+        "attr-value": {
+          pattern: /=[\s\S]+/,
+          inside: {
+            // `rest` overwrites keys it shares, so no `punctuation` here
+            delimiter: { pattern: /^=|^["']|["']$/, alias: "punctuation" },
+            rest: javascript,
+          },
+        },
+      },
+    },
+  },
+  prism.languages.vue.tag
+);
+
+export default prism;
@@ -0,0 +1,10 @@
+// Validators for component props. They carry the values they accept so the
+// sections playground can offer them in a select:
+//
+//   size: { type: String, validator: oneOf(["sm", "md", "lg"]) }
+
+export function oneOf(options) {
+  const validator = (value) => options.includes(value);
+  validator.options = options;
+  return validator;
+}
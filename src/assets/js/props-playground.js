@@ -0,0 +1,86 @@
+// Builds playground controls from a component's runtime `props` definitions
+// and prints the matching template snippet.
+
+function getTypes(definition) {
+  return [].concat(definition.type || []);
+}
+
+// must run inside setup(), defaults like `useMaterialKit().color` inject
+function getDefault(definition, types) {
+  if (typeof definition.default === "function" && !types.includes(Function)) {
+    return definition.default();
+  }
+  if (definition.default !== undefined) return definition.default;
+  if (types.includes(Boolean)) return false;
+  return types.includes(Number) ? 0 : "";
+}
+
+// [{ name, control: "select" | "switch" | "text" | "number" | "json", options,
+// default }]. The select options are those of a `oneOf()` validator, or given
+// in `options` by name for props without one and for plain elements. Props
+// typed Function and `exclude`d names get no control.
+export function getControls(component, { exclude = [], options = {} } = {}) {
+  const definitions = { ...(component.props || {}) };
+  Object.keys(options).forEach((name) => {
+    definitions[name] = definitions[name] || { type: String };
+  });
+
+  return Object.entries(definitions)
+    .filter(([name]) => !exclude.includes(name))
+    .map(([name, definition]) => {
+      const types = getTypes(definition);
+      const choices = options[name] || definition.validator?.options || [];
+      const value = getDefault(definition, types);
+      let control;
+
+      if (choices.length) control = "select";
+      else if (types.includes(Boolean)) control = "switch";
+      else if (types.includes(Number)) control = "number";
+      else if (typeof value === "object") {
+        control =
+          types.includes(Object) || types.includes(Array) ? "json" : null;
+      } else if (!types.length || types.includes(String)) control = "text";
+
+      return { name, control, options: choices, default: value };
+    })
+    .filter(({ control }) => control);
+}
+
+function toKebabCase(name) {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+function escape(value) {
+  return String(value).replace(/"/g, "&quot;");
+}
+
+// { text: "Name" } -> "{ text: 'Name' }", for values bound with `:prop`
+function toExpression(value) {
+  if (Array.isArray(value)) return `[${value.map(toExpression).join(", ")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).map(
+      ([key, item]) => `${key}: ${toExpression(item)}`
+    );
+    return `{ ${entries.join(", ")} }`;
+  }
+  return typeof value === "string"
+    ? `'${value.replace(/'/g, "\\'")}'`
+    : String(value);
+}
+
+// <MaterialButton variant="gradient" full-width>Button</MaterialButton>,
+// values equal to their default are omitted
+export function createSnippet(name, values, defaults = {}, content = "") {
+  const attributes = Object.entries(values)
+    .filter(([prop, value]) => value !== defaults[prop])
+    .map(([prop, value]) => {
+      const attribute = toKebabCase(prop);
+
+      if (value === true) return attribute;
+      if (typeof value === "string") return `${attribute}="${escape(value)}"`;
+      return `:${attribute}="${escape(toExpression(value))}"`;
+    });
+
+  const open = [name, ...attributes].join(" ");
+  return content ? `<${open}>${content}</${name}>` : `<${open} />`;
+}
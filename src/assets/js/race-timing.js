@@ -0,0 +1,165 @@
+export const rounds = {
+  H: "Heat",
+  R: "Repechage",
+  Q: "Quarterfinal",
+  SA: "Semifinal A/B",
+  SC: "Semifinal C/D",
+  FA: "Final A",
+  FB: "Final B",
+  FC: "Final C",
+};
+
+const boatTypes = {
+  "1x": "Single Sculls",
+  "2x": "Double Sculls",
+  "4x": "Quadruple Sculls",
+  "2-": "Pair",
+  "4-": "Four",
+  "4+": "Coxed Four",
+  "8+": "Eight",
+};
+
+const genders = {
+  M: "Men's",
+  W: "Women's",
+  Mix: "Mixed",
+};
+
+// crews without a time are listed last, in this order
+const statuses = ["DNF", "DSQ", "DNS"];
+
+// "LW2x" -> { lightweight: true, gender: "W", boat: "2x" }, null for other codes
+export function parseBoatClass(code) {
+  const match = /^(L?)(Mix|M|W)(\d[x+-])$/.exec(code);
+  if (!match) return null;
+
+  const [, lightweight, gender, boat] = match;
+  return { lightweight: !!lightweight, gender, boat };
+}
+
+// "LW2x" -> "Lightweight Women's Double Sculls"
+export function describeBoatClass(code) {
+  const boatClass = parseBoatClass(code);
+  if (!boatClass) return code;
+
+  const { lightweight, gender, boat } = boatClass;
+  return [lightweight && "Lightweight", genders[gender], boatTypes[boat]]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// `names` replaces the English round names, e.g. with translated ones
+export function getRaceName({ round, number }, names = rounds) {
+  const name = names[round] || round;
+  return number ? `${name} ${number}` : name;
+}
+
+// "7:02.31" or "1:02:03.4" -> seconds
+export function parseTime(value) {
+  if (typeof value === "number") return value;
+  return value.split(":").reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// seconds -> "7:02.31"
+export function formatTime(seconds) {
+  if (seconds == null || Number.isNaN(seconds)) return "";
+
+  const hundredths = Math.round(seconds * 100);
+  const hours = Math.floor(hundredths / 360000);
+  const minutes = Math.floor(hundredths / 6000) % 60;
+  const rest = ((hundredths % 6000) / 100).toFixed(2).padStart(5, "0");
+
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}`
+    : `${minutes}:${rest}`;
+}
+
+// seconds behind the winner -> "+1.24"
+export function formatMargin(seconds) {
+  if (!seconds) return "";
+  return `+${(Math.round(seconds * 100) / 100).toFixed(2)}`;
+}
+
+// 2000m over 4 splits -> [500, 1000, 1500, 2000]
+export function getSplitDistances(distance, count) {
+  return Array.from({ length: count }, (_, index) =>
+    Math.round((distance * (index + 1)) / count)
+  );
+}
+
+// `places` is [from, to], a single place means "from here down"
+function inPlaces([from, to = Infinity], rank) {
+  return rank >= from && rank <= to;
+}
+
+function describePlaces([from, to]) {
+  if (to === undefined) return `${from}+`;
+  return from === to ? `${from}` : `${from}–${to}`;
+}
+
+// [{ places: [1, 2], next: "FA" }, { places: [3], next: "R" }]
+// -> "1–2 → Final A, 3+ → Repechage"
+export function describeProgression(rules = [], names = rounds) {
+  return rules
+    .map(
+      ({ places, next }) => `${describePlaces(places)} → ${names[next] || next}`
+    )
+    .join(", ");
+}
+
+export function getProgression(rank, rules = []) {
+  if (!rank) return "";
+  return rules.find(({ places }) => inPlaces(places, rank))?.next || "";
+}
+
+function assignRanks(crews, getTime) {
+  const ranks = new Map();
+  const sorted = crews
+    .filter((crew) => getTime(crew) != null)
+    .sort((a, b) => getTime(a) - getTime(b));
+
+  // crews on the same time share a place
+  sorted.forEach((crew, index) => {
+    const previous = sorted[index - 1];
+    ranks.set(
+      crew,
+      previous && getTime(previous) === getTime(crew)
+        ? ranks.get(previous)
+        : index + 1
+    );
+  });
+  return ranks;
+}
+
+// Orders the crews of a race by finish time and adds `time`, `rank`,
+// `margin`, `splitRanks` and the `next` round given by the progression.
+export function rankCrews(crews, progression = []) {
+  const timed = crews.map((crew) => {
+    const splits = crew.status ? [] : (crew.splits || []).map(parseTime);
+    return { ...crew, splits, time: splits[splits.length - 1] ?? null };
+  });
+
+  const ranks = assignRanks(timed, (crew) => crew.time);
+  const winner = Math.min(...timed.map((crew) => crew.time ?? Infinity));
+  const splitCount = Math.max(0, ...timed.map((crew) => crew.splits.length));
+  const splitRanks = Array.from({ length: splitCount }, (_, index) =>
+    assignRanks(timed, (crew) => crew.splits[index])
+  );
+
+  return timed
+    .map((crew) => {
+      const rank = ranks.get(crew) || null;
+      return {
+        ...crew,
+        rank,
+        margin: crew.time == null ? null : crew.time - winner,
+        splitRanks: splitRanks.map((split) => split.get(crew) || null),
+        next: getProgression(rank, progression),
+      };
+    })
+    .sort(
+      (a, b) =>
+        (a.rank || Infinity) - (b.rank || Infinity) ||
+        statuses.indexOf(a.status) - statuses.indexOf(b.status)
+    );
+}
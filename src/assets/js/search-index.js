@@ -0,0 +1,91 @@
+import titles from "virtual:route-titles";
+import { t } from "@/assets/js/useI18n";
+import designBlocks from "@/views/Presentation/Sections/Data/designBlocksData";
+import { getCollection, localize } from "@/assets/js/content";
+
+// icons are Material Icons names, `to` is passed to router.push()
+export const groups = {
+  pages: { icon: "web" },
+  sections: { icon: "widgets" },
+  blocks: { icon: "view_quilt" },
+  posts: { icon: "article" },
+  athletes: { icon: "person" },
+};
+
+// "attention-catchers" -> "Attention Catchers"
+function humanize(slug) {
+  return slug
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+// the BaseLayout title of the view, see vite/route-titles.js, else
+// meta.title, both are either the title or { key } of its translation
+function getRouteTitle(route) {
+  const title = titles[route.name] || route.meta?.title;
+  if (title?.key) return t(title.key);
+  return title || "";
+}
+
+function getRouteItems(routes) {
+  return routes
+    .filter((route) => !route.path.includes(":"))
+    .map((route) => {
+      const [, root, group] = route.path.split("/");
+      const isSection = root === "sections";
+
+      return {
+        id: `route-${route.name}`,
+        group: isSection ? "sections" : "pages",
+        title: getRouteTitle(route),
+        description: isSection ? humanize(group) : route.path,
+        to: { name: route.name },
+      };
+    })
+    .filter((item) => item.title);
+}
+
+function getBlockItems() {
+  return designBlocks.flatMap(({ heading, items }, blockIndex) =>
+    items
+      .filter((item) => item.title || item.subtitle)
+      .map((item, index) => ({
+        id: `block-${blockIndex}-${index}`,
+        group: "blocks",
+        title: localize(item.title) || localize(item.subtitle),
+        description: localize(heading),
+        to: item.route,
+      }))
+  );
+}
+
+function getPostItems() {
+  return getCollection("posts").map((post) => ({
+    id: `post-${post.id}`,
+    group: "posts",
+    title: post.data.title,
+    description: post.data.description,
+    to: { name: "news-post", params: { slug: post.id } },
+  }));
+}
+
+function getAthleteItems(athletes) {
+  return athletes.map((athlete) => ({
+    id: `athlete-${athlete.id}`,
+    group: "athletes",
+    title: athlete.name,
+    description: athlete.club,
+    to: { name: "athlete", params: { id: athlete.id } },
+  }));
+}
+
+// everything the command palette can find, titles in the current language
+export function getSearchItems({ routes = [], athletes = [] } = {}) {
+  return [
+    ...getRouteItems(routes),
+    ...getBlockItems(),
+    ...getPostItems(),
+    ...getAthleteItems(athletes),
+  ];
+}
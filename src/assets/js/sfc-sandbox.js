@@ -0,0 +1,156 @@
+import * as vue from "vue";
+import * as vueRouter from "vue-router";
+
+// What the edited snippets can import: the same modules the examples use.
+// They are loaded on demand, the compiler itself is its own chunk too.
+const loaders = {
+  ...import.meta.glob("../../components/*.vue"),
+  ...import.meta.glob("../../examples/**/*.vue"),
+  ...import.meta.glob("../../assets/js/use*.js"),
+  ...import.meta.glob("../../assets/img/**/*.{jpg,jpeg,png,svg}"),
+};
+const modules = {
+  vue,
+  "vue-router": vueRouter,
+};
+
+function toAlias(path) {
+  return path.replace(/^\.\.\/\.\.\//, "@/");
+}
+
+const aliased = Object.fromEntries(
+  Object.entries(loaders).map(([path, load]) => [toAlias(path), load])
+);
+
+const importPattern =
+  /^[ \t]*import\s+(?:([^"';]*?)\s+from\s+)?(["'])([^"']+)\2;?/gm;
+
+async function loadModules(code) {
+  const specifiers = [...code.matchAll(importPattern)].map((match) => match[3]);
+
+  await Promise.all(
+    specifiers.map(async (specifier) => {
+      if (modules[specifier]) return;
+      if (!aliased[specifier]) {
+        throw new Error(`Cannot import "${specifier}" in the sandbox`);
+      }
+      modules[specifier] = await aliased[specifier]();
+    })
+  );
+}
+
+// `{ a as b, c }` -> `{ a: b, c }`
+function toDestructuring(names) {
+  return names.replace(/\s+as\s+/g, ": ");
+}
+
+// import statements become lookups in `modules`, `export`s fill `exports`
+function toFunctionBody(code) {
+  return code
+    .replace(importPattern, (match, clause, quote, specifier) => {
+      const module = `__modules[${JSON.stringify(specifier)}]`;
+      if (!clause) return "";
+
+      return clause
+        .split(/,(?![^{]*\})/)
+        .map((part) => part.trim())
+        .map((part) => {
+          if (part.startsWith("{")) {
+            return `const ${toDestructuring(part)} = ${module};`;
+          }
+          if (part.startsWith("*")) {
+            return `const ${part.replace(/^\*\s+as\s+/, "")} = ${module};`;
+          }
+          return `const ${part} = ${module}.default;`;
+        })
+        .join("\n");
+    })
+    .replace(/^export default\s+/m, "__exports.default = ")
+    .replace(/^export function render/m, "__exports.render = function render");
+}
+
+async function run(code) {
+  await loadModules(code);
+  const exports = {};
+  new Function("__modules", "__exports", toFunctionBody(code))(
+    modules,
+    exports
+  );
+  return exports;
+}
+
+let uid = 0;
+
+function toMessages(errors) {
+  return errors.map((error) => error.message || String(error));
+}
+
+// Compiles a single file component in the browser.
+// Resolves to { component, css, errors }, errors are strings ready to show,
+// it never rejects, not even when the compiler fails to load.
+// Bare markup, like a snippet cut out with region markers, is the template.
+export async function compileSfc(source, filename = "Sandbox.vue") {
+  if (!/<(template|script)[\s>]/.test(source)) {
+    source = `<template>\n${source}</template>\n`;
+  }
+
+  try {
+    const { parse, compileScript, compileTemplate, compileStyle } =
+      await import("@vue/compiler-sfc");
+
+    const { descriptor, errors } = parse(source, { filename });
+    if (errors.length) {
+      return { errors: toMessages(errors) };
+    }
+
+    const id = `sandbox-${++uid}`;
+    const scoped = descriptor.styles.some((style) => style.scoped);
+    let component;
+
+    if (descriptor.scriptSetup) {
+      const script = compileScript(descriptor, { id, inlineTemplate: true });
+      component = (await run(script.content)).default;
+    } else {
+      const script = descriptor.script
+        ? compileScript(descriptor, { id })
+        : null;
+      component = script ? { ...(await run(script.content)).default } : {};
+
+      if (descriptor.template) {
+        const template = compileTemplate({
+          id,
+          filename,
+          source: descriptor.template.content,
+          scoped,
+          compilerOptions: { bindingMetadata: script?.bindings },
+        });
+        if (template.errors.length) {
+          return { errors: toMessages(template.errors) };
+        }
+        component.render = (await run(template.code)).render;
+      }
+    }
+
+    const styles = descriptor.styles.map((style) =>
+      compileStyle({
+        id: `data-v-${id}`,
+        filename,
+        source: style.content,
+        scoped: style.scoped,
+      })
+    );
+    const styleErrors = styles.flatMap((style) => style.errors);
+    if (styleErrors.length) {
+      return { errors: toMessages(styleErrors) };
+    }
+
+    if (scoped) component.__scopeId = `data-v-${id}`;
+    return {
+      component,
+      css: styles.map((style) => style.code).join("\n"),
+      errors: [],
+    };
+  } catch (error) {
+    return { errors: toMessages([error]) };
+  }
+}
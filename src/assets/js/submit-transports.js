@@ -0,0 +1,106 @@
+import { t } from "@/assets/js/useI18n";
+
+// Transports for useSubmit(): `{ name, send(values) }`, where send() resolves
+// with what the transport has to say about the submission and rejects with
+// an Error whose message can be shown to the visitor.
+
+// "name: Nour\nemail: nour@example.com"
+function formatValues(values) {
+  return Object.entries(values)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join("\n");
+}
+
+async function readError(response) {
+  try {
+    const body = await response.json();
+    return body.error || body.message || "";
+  } catch (e) {
+    return "";
+  }
+}
+
+// POSTs the values as JSON, or as a form with `encoding: "form"` which is
+// what services such as Formspree and Netlify Forms also accept
+export function fetchTransport(
+  url,
+  { method = "POST", headers = {}, encoding = "json" } = {}
+) {
+  return {
+    name: "fetch",
+
+    async send(values) {
+      const body =
+        encoding === "form"
+          ? new URLSearchParams(values)
+          : JSON.stringify(values);
+      let response;
+
+      try {
+        response = await fetch(url, {
+          method,
+          headers: {
+            Accept: "application/json",
+            ...(encoding === "json" && { "Content-Type": "application/json" }),
+            ...headers,
+          },
+          body,
+        });
+      } catch (e) {
+        throw new Error(t("submit.offline"));
+      }
+
+      if (!response.ok) {
+        throw new Error((await readError(response)) || t("submit.failed"));
+      }
+      return response.json().catch(() => ({}));
+    },
+  };
+}
+
+// Opens the visitor's mail app with the message filled in. There is no way
+// to know whether it is sent, so it resolves with { mailto: true } as soon
+// as the app is asked to open.
+export function mailtoTransport(
+  to,
+  { subject = "", format = formatValues } = {}
+) {
+  return {
+    name: "mailto",
+
+    async send(values) {
+      const query = new URLSearchParams({ subject, body: format(values) });
+      // mail apps read "+" literally
+      window.location.href = `mailto:${to}?${query
+        .toString()
+        .replace(/\+/g, "%20")}`;
+      return { mailto: true };
+    },
+  };
+}
+
+// Keeps the submissions in `sent` instead of sending them, for development
+// and tests. `fail` is an error message, or a function of the values that
+// returns one, to try the error handling.
+export function mockTransport({ delay = 800, fail = "" } = {}) {
+  const sent = [];
+
+  return {
+    name: "mock",
+    sent,
+
+    send(values) {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          const message = typeof fail === "function" ? fail(values) : fail;
+          if (message) {
+            reject(new Error(message));
+            return;
+          }
+          sent.push(values);
+          resolve({ mock: true, id: sent.length });
+        }, delay);
+      });
+    },
+  };
+}
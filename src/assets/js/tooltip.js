@@ -1,11 +0,0 @@
-/* eslint-disable */
-
-// initialization of Tooltips
-export default function setTooltip(bootstrap) {
-  var tooltipTriggerList = [].slice.call(
-    document.querySelectorAll('[data-bs-toggle="tooltip"]')
-  );
-  var tooltipList = tooltipTriggerList.map(function (tooltipTriggerEl) {
-    return new bootstrap.Tooltip(tooltipTriggerEl);
-  });
-}
@@ -0,0 +1,70 @@
+import { ref } from "vue";
+
+const RECENT_KEY = "recent-searches";
+const MAX_RECENT = 5;
+
+function loadRecent() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RECENT_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveRecent() {
+  try {
+    if (recentSearches.value.length) {
+      localStorage.setItem(RECENT_KEY, JSON.stringify(recentSearches.value));
+    } else {
+      localStorage.removeItem(RECENT_KEY);
+    }
+  } catch (e) {
+    // storage is full or blocked, the searches are only kept for this visit
+  }
+}
+
+// shared by the navbar button, the Ctrl/Cmd-K shortcut and CommandPalette
+export const isOpen = ref(false);
+export const recentSearches = ref(loadRecent());
+
+export function openPalette() {
+  isOpen.value = true;
+}
+
+export function closePalette() {
+  isOpen.value = false;
+}
+
+export function togglePalette() {
+  isOpen.value = !isOpen.value;
+}
+
+// newest first, a repeated query moves back to the top
+export function addRecentSearch(query) {
+  const value = query.trim();
+  if (!value) return;
+
+  recentSearches.value = [
+    value,
+    ...recentSearches.value.filter((item) => item !== value),
+  ].slice(0, MAX_RECENT);
+  saveRecent();
+}
+
+export function clearRecentSearches() {
+  recentSearches.value = [];
+  saveRecent();
+}
+
+export function useCommandPalette() {
+  return {
+    isOpen,
+    recentSearches,
+    openPalette,
+    closePalette,
+    togglePalette,
+    addRecentSearch,
+    clearRecentSearches,
+  };
+}
@@ -0,0 +1,130 @@
+import { computed, isRef, reactive, ref, toRef, watch } from "vue";
+
+import { locale, t } from "@/assets/js/useI18n";
+
+async function runRules(rules, value, values) {
+  for (const rule of rules) {
+    const result = await rule(value, values);
+    if (result !== true) {
+      return typeof result === "string" ? result : t("validation.invalid");
+    }
+  }
+  return "";
+}
+
+export function useField(initialValue = "", rules = [], values = {}) {
+  const value = isRef(initialValue) ? initialValue : ref(initialValue);
+  const initial = value.value;
+  const error = ref("");
+  const touched = ref(false);
+  const validating = ref(false);
+  let runId = 0;
+
+  const validate = async () => {
+    // only the latest run may write the result, so a slow async rule
+    // can't overwrite the outcome of a newer value
+    const id = ++runId;
+    validating.value = true;
+    let message = "";
+    try {
+      message = await runRules(rules, value.value, values);
+    } catch (e) {
+      // a rule that throws, e.g. an async check whose request failed,
+      // fails the field instead of rejecting in the watcher or on submit
+      message = e?.message || t("validation.invalid");
+    } finally {
+      if (id === runId) {
+        error.value = message;
+        validating.value = false;
+      }
+    }
+    return !message;
+  };
+
+  const touch = () => {
+    touched.value = true;
+    validate();
+  };
+
+  const reset = () => {
+    value.value = initial;
+    touched.value = false;
+  };
+
+  const valid = computed(() => !validating.value && !error.value);
+
+  // props understood by MaterialInput and MaterialTextArea
+  const attrs = computed(() => ({
+    error: touched.value && !!error.value,
+    success: touched.value && rules.length > 0 && valid.value,
+    errorMessage: touched.value ? error.value : "",
+    isRequired: rules.some((rule) => rule.isRequired),
+    onBlur: touch,
+  }));
+
+  // the messages are in the current language, they follow it when it changes
+  watch([value, locale], validate);
+  validate();
+
+  return reactive({
+    value,
+    error,
+    touched,
+    validating,
+    valid,
+    attrs,
+    validate,
+    touch,
+    reset,
+  });
+}
+
+export function useForm(initialValues = {}, rules = {}) {
+  const values = reactive({ ...initialValues });
+  const submitting = ref(false);
+
+  const fields = {};
+  Object.keys(initialValues).forEach((name) => {
+    fields[name] = useField(toRef(values, name), rules[name], values);
+  });
+
+  const isValid = computed(() =>
+    Object.values(fields).every((field) => field.valid)
+  );
+
+  const validate = async () => {
+    Object.values(fields).forEach((field) => (field.touched = true));
+    const results = await Promise.all(
+      Object.values(fields).map((field) => field.validate())
+    );
+    return results.every(Boolean);
+  };
+
+  const reset = () => Object.values(fields).forEach((field) => field.reset());
+
+  const handleSubmit = (onValid, onInvalid) => async (event) => {
+    event?.preventDefault();
+    if (submitting.value) return;
+    if (!(await validate())) {
+      onInvalid?.({ ...values });
+      return;
+    }
+
+    submitting.value = true;
+    try {
+      await onValid({ ...values });
+    } finally {
+      submitting.value = false;
+    }
+  };
+
+  return {
+    values,
+    fields,
+    isValid,
+    submitting,
+    validate,
+    reset,
+    handleSubmit,
+  };
+}
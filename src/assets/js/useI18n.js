@@ -0,0 +1,103 @@
+import { computed, ref } from "vue";
+
+import en from "@/locales/en.json";
+import ar from "@/locales/ar.json";
+
+export const locales = {
+  en: { name: "English", dir: "ltr", intl: "en-GB", messages: en },
+  ar: { name: "العربية", dir: "rtl", intl: "ar-EG", messages: ar },
+};
+
+const STORAGE_KEY = "locale";
+const fallback = "en";
+
+function getInitialLocale() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (locales[saved]) return saved;
+
+  const language = navigator.language?.slice(0, 2);
+  return locales[language] ? language : fallback;
+}
+
+// shared by every useI18n() call, like the toasts in useToast
+export const locale = ref(getInitialLocale());
+export const dir = computed(() => locales[locale.value].dir);
+
+// `dir` flips the layout, the `rtl` class enables the kit's mirrored styles
+function applyLocale() {
+  const root = document.documentElement;
+  root.setAttribute("lang", locale.value);
+  root.setAttribute("dir", dir.value);
+  root.classList.toggle("rtl", dir.value === "rtl");
+}
+
+export function setLocale(code) {
+  if (!locales[code]) return;
+
+  locale.value = code;
+  try {
+    localStorage.setItem(STORAGE_KEY, code);
+  } catch (e) {
+    // storage is full or blocked, the language only lasts for this visit
+  }
+  applyLocale();
+}
+
+function lookup(messages, key) {
+  return key
+    .split(".")
+    .reduce((value, part) => (value == null ? value : value[part]), messages);
+}
+
+// "Hello {name}" with { name: "Nour" } -> "Hello Nour", plural messages are
+// objects keyed by Intl.PluralRules categories and picked with `count`
+export function t(key, params = {}) {
+  let message =
+    lookup(locales[locale.value].messages, key) ??
+    lookup(locales[fallback].messages, key) ??
+    key;
+
+  if (typeof message === "object") {
+    const category = new Intl.PluralRules(locales[locale.value].intl).select(
+      params.count ?? 0
+    );
+    message = message[category] ?? message.other;
+  }
+
+  const values =
+    typeof params.count === "number"
+      ? { ...params, count: n(params.count) }
+      : params;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? values[name] : match
+  );
+}
+
+export function n(value, options) {
+  return new Intl.NumberFormat(locales[locale.value].intl, options).format(
+    value
+  );
+}
+
+// "YYYY-MM-DD" is a day, not UTC midnight, so it is read as local time
+// and shows the same day in every time zone
+function toDate(value) {
+  if (value instanceof Date) return value;
+
+  const day =
+    typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return day ? new Date(day[1], day[2] - 1, day[3]) : new Date(value);
+}
+
+export function d(value, options) {
+  return new Intl.DateTimeFormat(locales[locale.value].intl, options).format(
+    toDate(value)
+  );
+}
+
+applyLocale();
+
+export function useI18n() {
+  return { locale, locales, dir, t, n, d, setLocale };
+}
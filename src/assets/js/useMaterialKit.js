@@ -0,0 +1,21 @@
+import { inject } from "vue";
+
+export const materialKitKey = Symbol("materialKit");
+
+export const defaultOptions = {
+  // applied to components whose `color` prop is not set
+  color: "",
+  size: "md",
+  // "fontawesome" or "material"
+  iconSet: "fontawesome",
+  // brand palettes for useTheme(), { name: { primary: "#ce1126", ... } }
+  palettes: {},
+  // palette used until the visitor picks one with setPalette()
+  palette: "default",
+};
+
+// Works in setup() and in prop default factories, falls back to the
+// defaults when the kit is used without `app.use(materialKit)`.
+export function useMaterialKit() {
+  return inject(materialKitKey, defaultOptions);
+}
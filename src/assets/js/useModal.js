@@ -0,0 +1,107 @@
+import {
+  defineComponent,
+  getCurrentInstance,
+  h,
+  onMounted,
+  ref,
+  render,
+} from "vue";
+
+import MaterialModal from "@/components/MaterialModal.vue";
+import MaterialButton from "@/components/MaterialButton.vue";
+import { t } from "@/assets/js/useI18n";
+
+const ModalHost = defineComponent({
+  props: {
+    options: {
+      type: Object,
+      required: true,
+    },
+  },
+  emits: ["close"],
+  setup(props, { emit }) {
+    const visible = ref(false);
+    let result;
+
+    const close = (value) => {
+      result = value;
+      visible.value = false;
+    };
+
+    onMounted(() => (visible.value = true));
+
+    return () => {
+      const { message, component, componentProps, actions, ...modalProps } =
+        props.options;
+
+      return h(
+        MaterialModal,
+        {
+          ...modalProps,
+          modelValue: visible.value,
+          "onUpdate:modelValue": (value) => !value && close(undefined),
+          onHidden: () => emit("close", result),
+        },
+        {
+          default: () =>
+            component ? h(component, { ...componentProps, close }) : message,
+          footer: actions.length
+            ? () =>
+                actions.map((action) =>
+                  h(
+                    MaterialButton,
+                    {
+                      variant: action.variant || "gradient",
+                      color: action.color || "dark",
+                      class: "mb-0",
+                      onClick: () => close(action.value),
+                    },
+                    () => action.label
+                  )
+                )
+            : undefined,
+        }
+      );
+    };
+  },
+});
+
+// Opens dialogs from code. `open()` resolves with the `value` of the action
+// that closed the dialog, or `undefined` when it was dismissed.
+export function useModal() {
+  const appContext = getCurrentInstance()?.appContext || null;
+
+  function open(options = {}) {
+    return new Promise((resolve) => {
+      const container = document.createElement("div");
+      const vnode = h(ModalHost, {
+        options: { actions: [], ...options },
+        onClose: (value) => {
+          render(null, container);
+          resolve(value);
+        },
+      });
+
+      // keeps globally registered components and the kit options available
+      vnode.appContext = appContext;
+      render(vnode, container);
+    });
+  }
+
+  function confirm({
+    confirmText = t("common.confirm"),
+    cancelText = t("common.cancel"),
+    color = "success",
+    ...options
+  } = {}) {
+    return open({
+      ...options,
+      actions: [
+        { label: cancelText, value: false, color: "dark" },
+        { label: confirmText, value: true, color },
+      ],
+    }).then(Boolean);
+  }
+
+  return { open, confirm };
+}
@@ -0,0 +1,139 @@
+import { computed, ref } from "vue";
+
+import { t } from "@/assets/js/useI18n";
+
+const STORAGE_PREFIX = "submissions-";
+
+function loadTimes(key) {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(STORAGE_PREFIX + key));
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Sends form values through a transport from submit-transports.js, from
+// useForm's handleSubmit, which already keeps a second submit from starting
+// while one is in flight. Its `submitting` is shared so there is one flag:
+//
+//   const { submitting, handleSubmit } = useForm(...);
+//   const { submit, error } = useSubmit(fetchTransport(url), {
+//     fallback: mailtoTransport("hello@example.com"),
+//     submitting,
+//   });
+//   const onSubmit = handleSubmit(async (values) => await submit(values));
+//
+// `honeypot` is bound to a field people never see, when a bot fills it in
+// submit() pretends to succeed without sending anything. At most `limit`
+// submissions are sent per `period` (ms) for each `key` in a browser session.
+export function useSubmit(
+  transport,
+  {
+    fallback = null,
+    submitting = ref(false),
+    key = "default",
+    limit = 3,
+    period = 10 * 60 * 1000,
+  } = {}
+) {
+  const honeypot = ref("");
+  // "idle", "success" or "error"
+  const status = ref("idle");
+  const error = ref("");
+  const result = ref(null);
+  let lastValues = null;
+
+  const canUseFallback = computed(
+    () =>
+      !!fallback &&
+      fallback !== transport &&
+      status.value === "error" &&
+      !!lastValues
+  );
+
+  function getRecent() {
+    const now = Date.now();
+    return loadTimes(key).filter((time) => now - time < period);
+  }
+
+  function record() {
+    try {
+      sessionStorage.setItem(
+        STORAGE_PREFIX + key,
+        JSON.stringify([...getRecent(), Date.now()])
+      );
+    } catch (e) {
+      // storage is full or blocked, the message is sent all the same and
+      // only does not count towards the limit
+    }
+  }
+
+  async function send(using, values) {
+    submitting.value = true;
+    status.value = "idle";
+    error.value = "";
+
+    try {
+      result.value = await using.send(values);
+      status.value = "success";
+      record();
+      return true;
+    } catch (e) {
+      status.value = "error";
+      error.value = e.message || t("submit.failed");
+      return false;
+    } finally {
+      submitting.value = false;
+    }
+  }
+
+  // resolves with true once the values are on their way
+  async function submit(values) {
+    if (honeypot.value) {
+      result.value = null;
+      status.value = "success";
+      return true;
+    }
+
+    const recent = getRecent();
+    if (recent.length >= limit) {
+      const minutes = Math.ceil((recent[0] + period - Date.now()) / 60000);
+      status.value = "error";
+      error.value = t("submit.rateLimited", { count: minutes });
+      lastValues = null;
+      return false;
+    }
+
+    lastValues = values;
+    return send(transport, values);
+  }
+
+  // sends the values of the failed submit() again through `fallback`
+  function submitWithFallback() {
+    if (!canUseFallback.value || submitting.value) {
+      return Promise.resolve(false);
+    }
+    return send(fallback, lastValues);
+  }
+
+  function reset() {
+    honeypot.value = "";
+    status.value = "idle";
+    error.value = "";
+    result.value = null;
+    lastValues = null;
+  }
+
+  return {
+    honeypot,
+    submitting,
+    status,
+    error,
+    result,
+    canUseFallback,
+    submit,
+    submitWithFallback,
+    reset,
+  };
+}
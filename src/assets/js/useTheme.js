@@ -0,0 +1,127 @@
+import { computed, reactive, ref, watch } from "vue";
+
+export const modes = ["light", "dark", "system"];
+
+const MODE_KEY = "theme";
+const PALETTE_KEY = "palette";
+
+// colour names the palettes can override, see _themes.scss
+const colors = [
+  "primary",
+  "secondary",
+  "info",
+  "success",
+  "warning",
+  "danger",
+  "light",
+  "dark",
+];
+
+// "default" keeps the kit's compiled colours
+export const palettes = reactive({ default: {} });
+
+const media = window.matchMedia("(prefers-color-scheme: dark)");
+const prefersDark = ref(media.matches);
+media.addEventListener(
+  "change",
+  (event) => (prefersDark.value = event.matches)
+);
+
+// storage that is full or blocked keeps the choice for this visit only
+function save(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (e) {
+    // nothing to do, the refs already hold the value
+  }
+}
+
+// shared by every useTheme() call, like the locale in useI18n
+export const mode = ref(
+  modes.includes(localStorage.getItem(MODE_KEY))
+    ? localStorage.getItem(MODE_KEY)
+    : "system"
+);
+export const theme = computed(() =>
+  mode.value === "system" ? (prefersDark.value ? "dark" : "light") : mode.value
+);
+
+// the palette picked with setPalette(), else the one the app starts with
+const savedPalette = ref(localStorage.getItem(PALETTE_KEY));
+export const defaultPalette = ref("default");
+export const palette = computed(() =>
+  palettes[savedPalette.value] ? savedPalette.value : defaultPalette.value
+);
+
+export function setMode(value) {
+  if (!modes.includes(value)) return;
+
+  mode.value = value;
+  save(MODE_KEY, value);
+}
+
+// light -> dark -> system -> light
+export function toggleMode() {
+  setMode(modes[(modes.indexOf(mode.value) + 1) % modes.length]);
+}
+
+// { primary: "#ce1126" } uses the colour for both gradient stops,
+// { primary: ["#e53935", "#ce1126"] } sets the gradient explicitly
+export function registerPalette(name, values) {
+  palettes[name] = Object.fromEntries(
+    Object.entries(values)
+      .filter(([color]) => colors.includes(color))
+      .map(([color, value]) => {
+        const [gradient, state = gradient] = [].concat(value);
+        return [color, { base: state, gradient, state }];
+      })
+  );
+}
+
+export function setPalette(name) {
+  if (!palettes[name]) return;
+
+  savedPalette.value = name;
+  save(PALETTE_KEY, name);
+}
+
+// `data-theme` switches the custom properties, `dark-version` turns on the
+// kit's own dark styles
+function applyTheme() {
+  const root = document.documentElement;
+  root.setAttribute("data-theme", theme.value);
+  document.body.classList.toggle("dark-version", theme.value === "dark");
+
+  const values = palettes[palette.value] || palettes.default;
+  colors.forEach((color) => {
+    const value = values[color];
+    const properties = {
+      [`--mk-${color}`]: value?.base,
+      [`--mk-${color}-gradient`]: value?.gradient,
+      [`--mk-${color}-gradient-state`]: value?.state,
+    };
+    Object.entries(properties).forEach(([property, propertyValue]) =>
+      propertyValue
+        ? root.style.setProperty(property, propertyValue)
+        : root.style.removeProperty(property)
+    );
+  });
+}
+
+watch([theme, () => palettes[palette.value]], applyTheme, {
+  immediate: true,
+});
+
+export function useTheme() {
+  return {
+    modes,
+    mode,
+    theme,
+    palettes,
+    palette,
+    setMode,
+    toggleMode,
+    registerPalette,
+    setPalette,
+  };
+}
@@ -0,0 +1,88 @@
+import { reactive } from "vue";
+
+export const positions = [
+  "top-right",
+  "top-left",
+  "top-center",
+  "bottom-right",
+  "bottom-left",
+  "bottom-center",
+];
+
+const defaults = {
+  title: "",
+  color: "dark",
+  position: "top-right",
+  // milliseconds, 0 keeps the toast until it is dismissed
+  duration: 4000,
+  pauseOnHover: true,
+  // [{ label, onClick }], clicking an action also dismisses the toast
+  actions: [],
+};
+
+// shared by every useToast() call and rendered by MaterialToastContainer,
+// which App.vue puts on every page
+export const toasts = reactive([]);
+const timers = new Map();
+let uid = 0;
+
+function startTimer(toast) {
+  if (!toast.duration) return;
+  timers.set(toast.id, {
+    startedAt: Date.now(),
+    timeout: setTimeout(() => dismiss(toast.id), toast.remaining),
+  });
+}
+
+export function pause(id) {
+  const toast = toasts.find((item) => item.id === id);
+  const timer = timers.get(id);
+  if (!toast || !timer || !toast.pauseOnHover) return;
+
+  clearTimeout(timer.timeout);
+  timers.delete(id);
+  toast.remaining -= Date.now() - timer.startedAt;
+}
+
+export function resume(id) {
+  const toast = toasts.find((item) => item.id === id);
+  if (!toast || timers.has(id) || !toast.pauseOnHover) return;
+
+  startTimer(toast);
+}
+
+export function dismiss(id) {
+  const index = toasts.findIndex((item) => item.id === id);
+  if (index === -1) return;
+
+  clearTimeout(timers.get(id)?.timeout);
+  timers.delete(id);
+  toasts.splice(index, 1);
+}
+
+export function clear() {
+  toasts.map((toast) => toast.id).forEach(dismiss);
+}
+
+export function show(message, options = {}) {
+  const toast = reactive({ ...defaults, ...options, id: ++uid, message });
+  toast.remaining = toast.duration;
+
+  toasts.push(toast);
+  startTimer(toast);
+  return toast.id;
+}
+
+export function useToast() {
+  return {
+    show,
+    success: (message, options) =>
+      show(message, { ...options, color: "success" }),
+    info: (message, options) => show(message, { ...options, color: "info" }),
+    warning: (message, options) =>
+      show(message, { ...options, color: "warning" }),
+    error: (message, options) => show(message, { ...options, color: "danger" }),
+    dismiss,
+    clear,
+  };
+}
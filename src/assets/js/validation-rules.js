@@ -0,0 +1,49 @@
+import { t } from "@/assets/js/useI18n";
+
+// A rule receives the field value (and every form value) and returns `true`
+// when it passes or the error message to show. Rules may be async. Without a
+// `message` they return one in the current language.
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === false ||
+    (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+export function required(message) {
+  const rule = (value) =>
+    !isEmpty(value) || message || t("validation.required");
+  rule.isRequired = true;
+  return rule;
+}
+
+export function email(message) {
+  const pattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return (value) =>
+    isEmpty(value) || pattern.test(value) || message || t("validation.email");
+}
+
+export function minLength(length, message) {
+  return (value) =>
+    isEmpty(value) ||
+    String(value).length >= length ||
+    message ||
+    t("validation.minLength", { count: length });
+}
+
+export function maxLength(length, message) {
+  return (value) =>
+    isEmpty(value) ||
+    String(value).length <= length ||
+    message ||
+    t("validation.maxLength", { count: length });
+}
+
+export function pattern(regex, message) {
+  return (value) =>
+    isEmpty(value) || regex.test(value) || message || t("validation.pattern");
+}
@@ -0,0 +1,84 @@
+import { getEmbedUrl, getThumbnail } from "@/assets/js/video";
+
+// A poster with a play button standing in for the player, YouTube and Vimeo
+// are only contacted once it is pressed. Built without Vue so it can be a
+// PhotoSwipe `html` slide:
+//
+//   const facade = createFacade(parseVideo(url), { title, label, note });
+//   playFacade(facade); resetFacade(facade);
+
+const facades = new WeakMap();
+
+function renderPoster(element) {
+  const { video, title, poster, label, note } = facades.get(element);
+  const button = document.createElement("button");
+  const image = document.createElement("img");
+  const icon = document.createElement("span");
+  const caption = document.createElement("small");
+
+  button.type = "button";
+  button.className = "btn p-0 m-0 border-0 w-100 h-100 shadow-none";
+  button.setAttribute("aria-label", `${label}: ${title}`);
+  button.addEventListener("click", () => playFacade(element));
+
+  image.src = poster || getThumbnail(video);
+  image.alt = "";
+  image.className = "position-absolute top-0 start-0 w-100 h-100";
+  image.style.objectFit = "cover";
+
+  icon.className =
+    "icon icon-shape icon-lg bg-gradient-danger shadow rounded-circle position-absolute top-50 start-50 translate-middle";
+  icon.innerHTML =
+    '<i class="material-icons-round text-white text-3xl opacity-10">play_arrow</i>';
+
+  caption.className =
+    "position-absolute bottom-0 start-0 end-0 p-2 text-xxs text-white bg-dark opacity-8";
+  caption.textContent = note;
+
+  button.append(image, icon);
+  element.replaceChildren(button);
+  if (video.provider !== "file" && note) element.append(caption);
+}
+
+export function createFacade(
+  video,
+  { title = "", poster = "", label = "Play", note = "" } = {}
+) {
+  const element = document.createElement("div");
+
+  element.className =
+    "ratio ratio-16x9 bg-dark border-radius-lg overflow-hidden";
+  element.tabIndex = -1;
+  facades.set(element, { video, title, poster, label, note });
+  renderPoster(element);
+
+  return element;
+}
+
+// swaps the poster for the player, which starts right away
+export function playFacade(element) {
+  const { video, title } = facades.get(element);
+  const player = document.createElement(
+    video.provider === "file" ? "video" : "iframe"
+  );
+
+  player.src = getEmbedUrl(video, { autoplay: true });
+  player.title = title;
+  if (video.provider === "file") {
+    player.controls = true;
+    player.autoplay = true;
+  } else {
+    player.allow = "autoplay; fullscreen; picture-in-picture";
+    player.allowFullscreen = true;
+  }
+
+  // keeps the focus, and the keyboard, where the button was
+  element.replaceChildren(player);
+  element.focus();
+}
+
+// stops the player by putting the poster back
+export function resetFacade(element) {
+  if (element.querySelector("button")) return;
+  renderPoster(element);
+}
@@ -0,0 +1,38 @@
+// Video links as the site uses them, shared by the Markdown embeds in
+// vite/markdown.js and the video gallery, so keep it free of browser APIs.
+
+const youtube =
+  /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/;
+const vimeo = /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/;
+const file = /\.(mp4|webm|ogg)(?:[?#].*)?$/i;
+
+// -> { provider: "youtube" | "vimeo" | "file", id, url } or null
+export function parseVideo(url) {
+  const youtubeMatch = url.match(youtube);
+  if (youtubeMatch) return { provider: "youtube", id: youtubeMatch[1], url };
+
+  const vimeoMatch = url.match(vimeo);
+  if (vimeoMatch) return { provider: "vimeo", id: vimeoMatch[1], url };
+
+  return file.test(url) ? { provider: "file", id: url, url } : null;
+}
+
+// the iframe src for YouTube and Vimeo, the file itself otherwise
+export function getEmbedUrl(video, { autoplay = false } = {}) {
+  const play = autoplay ? 1 : 0;
+
+  if (video.provider === "youtube") {
+    return `https://www.youtube-nocookie.com/embed/${video.id}?autoplay=${play}&rel=0`;
+  }
+  if (video.provider === "vimeo") {
+    return `https://player.vimeo.com/video/${video.id}?autoplay=${play}&dnt=1`;
+  }
+  return video.url;
+}
+
+// only YouTube has predictable thumbnails, the others need a `poster`
+export function getThumbnail(video) {
+  return video.provider === "youtube"
+    ? `https://i.ytimg.com/vi/${video.id}/hqdefault.jpg`
+    : "";
+}
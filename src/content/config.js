@@ -0,0 +1,65 @@
+import { s } from "../../vite/content-schema";
+
+// One schema per folder in src/content, checked by vite/content.js when the
+// site is built. Read the entries with the helpers in src/assets/js/content.js.
+export default {
+  // Markdown, the frontmatter holds the fields below
+  posts: s.object({
+    title: s.string(),
+    description: s.string(),
+    date: s.date(),
+    author: s.string(),
+    tags: s.array(s.string()).default([]),
+    image: s.string(),
+  }),
+
+  testimonials: s.object({
+    name: s.string(),
+    date: s.date(),
+    review: s.localized(s.string()),
+    rating: s.number(),
+    // a bg-gradient-* class, the card is white without one
+    color: s.string().default(""),
+    order: s.number().default(0),
+  }),
+
+  counters: s.object({
+    title: s.localized(s.string()),
+    description: s.localized(s.string()),
+    count: s.number(),
+    suffix: s.string().default(""),
+    // milliseconds
+    duration: s.number().default(6000),
+    order: s.number().default(0),
+  }),
+
+  // the design blocks of the presentation page
+  blocks: s.object({
+    heading: s.localized(s.string()),
+    description: s.localized(s.string()),
+    order: s.number().default(0),
+    items: s.array(
+      s.object({
+        // empty for videos, they show their poster
+        image: s.string().default(""),
+        title: s.localized(s.string()).default(""),
+        subtitle: s.localized(s.string()).default(""),
+        route: s.string(),
+        // the id of an entry in videos, passed to `route` as a param
+        video: s.string().default(""),
+        pro: s.boolean().default(false),
+      })
+    ),
+  }),
+
+  // the video gallery, YouTube and Vimeo only load once a video is played
+  videos: s.object({
+    title: s.string(),
+    description: s.string().default(""),
+    category: s.oneOf(["races", "explainers", "stories"]),
+    url: s.video(),
+    // YouTube has its own, Vimeo and video files need one
+    poster: s.string().default(""),
+    date: s.date(),
+  }),
+};
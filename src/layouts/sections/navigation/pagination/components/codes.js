@@ -1,25 +0,0 @@
-export const paginationSimpleCode = `<script setup>
-//Vue Material Kit 2 components
-import MaterialPagination from "@/components/MaterialPagination.vue";
-import MaterialPaginationItem from "@/components/MaterialPaginationItem.vue";
-</script>
-<template>
-  <section class="py-7">
-    <div class="container">
-      <div class="row justify-space-between py-2">
-        <div class="col-lg-4 mx-auto">
-          <MaterialPagination>
-            <MaterialPaginationItem prev class="ms-auto" />
-            <MaterialPaginationItem label="1" />
-            <MaterialPaginationItem label="2" active />
-            <MaterialPaginationItem label="3" />
-            <MaterialPaginationItem label="4" />
-            <MaterialPaginationItem label="5" />
-            <MaterialPaginationItem next />
-          </MaterialPagination>
-        </div>
-      </div>
-    </div>
-  </section>
-</template>
-`;
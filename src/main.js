@@ -13,5 +13,16 @@ const app = createApp(App);
 
 app.use(createPinia());
 app.use(router);
-app.use(materialKit);
+app.use(materialKit, {
+  palettes: {
+    // the red, white and black of the Egyptian flag
+    egypt: {
+      primary: ["#e53935", "#ce1126"],
+      danger: ["#e53935", "#ce1126"],
+      dark: ["#3a3a3a", "#000000"],
+      light: ["#ffffff", "#f0f2f5"],
+    },
+  },
+  palette: "egypt",
+});
 app.mount("#app");
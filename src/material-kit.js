@@ -1,7 +1,42 @@
-import "./assets/js/material-input.js";
-import "./assets/js/ripple-effect.js";
 import "./assets/scss/material-kit.scss";
 
+import ripple from "./assets/js/directives/ripple";
+import tooltip from "./assets/js/directives/tooltip";
+import popover from "./assets/js/directives/popover";
+import { materialKitKey, defaultOptions } from "./assets/js/useMaterialKit";
+import { registerPalette, defaultPalette } from "./assets/js/useTheme";
+
+const components = import.meta.globEager("./components/Material*.vue");
+
+// useToast() only queues toasts, they show where the app renders the
+// container, once, next to its <router-view />:
+//
+//   <router-view />
+//   <MaterialToastContainer />
+//
+// It is registered globally by the plugin and exported for apps that import
+// their components.
+export { default as MaterialToastContainer } from "./components/MaterialToastContainer.vue";
+
 export default {
-  install() {}
+  install(app, options = {}) {
+    const config = { ...defaultOptions, ...options };
+
+    app.provide(materialKitKey, config);
+    app.config.globalProperties.$materialKit = config;
+
+    Object.entries(components).forEach(([path, module]) => {
+      const name = path.match(/([^/]+)\.vue$/)[1];
+      app.component(name, module.default);
+    });
+
+    app.directive("ripple", ripple);
+    app.directive("tooltip", tooltip);
+    app.directive("popover", popover);
+
+    Object.entries(config.palettes).forEach(([name, values]) =>
+      registerPalette(name, values)
+    );
+    defaultPalette.value = config.palette;
+  },
 };
@@ -23,33 +23,55 @@ import ElDropdowns from "../layouts/sections/elements/dropdowns/DropdownsView.vu
 import ElProgressBars from "../layouts/sections/elements/progress-bars/ProgressBarsView.vue";
 import ElToggles from "../layouts/sections/elements/toggles/TogglesView.vue";
 import ElTypography from "../layouts/sections/elements/typography/TypographyView.vue";
+import ResultsView from "../views/Results/ResultsView.vue";
+import ResultsRegattaView from "../views/Results/RegattaView.vue";
+import ResultsEventView from "../views/Results/EventView.vue";
+import CalendarView from "../views/Calendar/CalendarView.vue";
+import AthletesView from "../views/Athletes/AthletesView.vue";
+import AthleteView from "../views/Athletes/AthleteView.vue";
+import NewsView from "../views/News/NewsView.vue";
+import NewsPostView from "../views/News/PostView.vue";
+import VideosView from "../views/Videos/VideosView.vue";
 const router = createRouter({
   history: createWebHistory(import.meta.env.BASE_URL),
+  // hashes scroll to their element, below the fixed navbar, and routes
+  // with meta.keepScroll stay put when going from one to another
+  scrollBehavior(to, from, savedPosition) {
+    if (savedPosition) return savedPosition;
+    if (to.hash) return { el: to.hash, top: 100 };
+    if (to.meta.keepScroll && from.meta.keepScroll) return false;
+    return { top: 0 };
+  },
   routes: [
     {
       path: "/",
       name: "presentation",
       component: PresentationView,
+      meta: { title: { key: "common.home" } },
     },
     {
       path: "/pages/landing-pages/about-us",
       name: "about",
       component: AboutView,
+      meta: { title: { key: "routes.about" } },
     },
     {
       path: "/pages/landing-pages/contact-us",
       name: "contactus",
       component: ContactView,
+      meta: { title: { key: "routes.contact" } },
     },
     {
       path: "/pages/landing-pages/event",
       name: "author",
       component: AuthorView,
+      meta: { title: { key: "routes.author" } },
     },
     {
       path: "/pages/landing-pages/basic",
       name: "signin-basic",
       component: SignInBasicView,
+      meta: { title: { key: "routes.signIn" } },
     },
     {
       path: "/sections/page-sections/page-headers",
@@ -146,6 +168,63 @@ const router = createRouter({
       name: "el-typography",
       component: ElTypography,
     },
+    {
+      path: "/results",
+      name: "results",
+      component: ResultsView,
+    },
+    {
+      path: "/results/:regatta",
+      name: "results-regatta",
+      component: ResultsRegattaView,
+    },
+    {
+      path: "/results/:regatta/:event",
+      name: "results-event",
+      component: ResultsEventView,
+    },
+    {
+      path: "/calendar",
+      name: "calendar",
+      component: CalendarView,
+    },
+    {
+      path: "/athletes",
+      name: "athletes",
+      component: AthletesView,
+    },
+    {
+      path: "/athletes/:id",
+      name: "athlete",
+      component: AthleteView,
+    },
+    {
+      path: "/news",
+      name: "news",
+      component: NewsView,
+    },
+    {
+      path: "/news/tag/:tag",
+      name: "news-tag",
+      component: NewsView,
+    },
+    {
+      path: "/news/:slug",
+      name: "news-post",
+      component: NewsPostView,
+    },
+    {
+      path: "/videos",
+      name: "videos",
+      component: VideosView,
+      meta: { keepScroll: true },
+    },
+    {
+      path: "/videos/:id",
+      name: "video",
+      component: VideosView,
+      meta: { keepScroll: true },
+    },
   ],
 });
 
@@ -0,0 +1,68 @@
+import { defineStore } from "pinia";
+import athletes from "@/views/Athletes/Data/athletes.json";
+import { getAthleteResults } from "@/views/Results/Data";
+
+// `photo` in the JSON is a file name in src/assets/img
+const photos = import.meta.globEager("../assets/img/*.jpg");
+
+function getPhoto(name) {
+  return photos[`../assets/img/${name}`]?.default || "";
+}
+
+function unique(values) {
+  return [...new Set(values)].sort();
+}
+
+const emptyFilters = () => ({
+  club: "",
+  category: "",
+  gender: "",
+  boatClass: "",
+});
+
+// the directory filters live here so they survive a visit to a profile
+export const useAthletesStore = defineStore("athletes", {
+  state: () => ({
+    athletes: athletes.map((athlete) => ({
+      ...athlete,
+      photo: getPhoto(athlete.photo),
+    })),
+    query: "",
+    filters: emptyFilters(),
+  }),
+  getters: {
+    clubs: (state) => unique(state.athletes.map((athlete) => athlete.club)),
+    categories: (state) =>
+      unique(state.athletes.map((athlete) => athlete.category)),
+    genders: (state) => unique(state.athletes.map((athlete) => athlete.gender)),
+    boatClasses: (state) =>
+      unique(state.athletes.flatMap((athlete) => athlete.boatClasses)),
+    isFiltered: (state) =>
+      !!state.query || Object.values(state.filters).some(Boolean),
+    filtered(state) {
+      const query = state.query.trim().toLowerCase();
+      const { club, category, gender, boatClass } = state.filters;
+
+      return state.athletes.filter(
+        (athlete) =>
+          (!query ||
+            [athlete.name, athlete.club, athlete.hometown].some((value) =>
+              value.toLowerCase().includes(query)
+            )) &&
+          (!club || athlete.club === club) &&
+          (!category || athlete.category === category) &&
+          (!gender || athlete.gender === gender) &&
+          (!boatClass || athlete.boatClasses.includes(boatClass))
+      );
+    },
+    getById: (state) => (id) =>
+      state.athletes.find((athlete) => athlete.id === id),
+    getResults: () => (athlete) => getAthleteResults(athlete.id),
+  },
+  actions: {
+    resetFilters() {
+      this.query = "";
+      this.filters = emptyFilters();
+    },
+  },
+});
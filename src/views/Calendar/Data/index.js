@@ -0,0 +1,64 @@
+import data from "./events.json";
+import { d } from "@/assets/js/useI18n";
+
+// `start`/`end` are "YYYY-MM-DD" for all-day events or ISO date-times
+export const events = [...data].sort(
+  (a, b) => toDate(a.start) - toDate(b.start)
+);
+
+function unique(key) {
+  return [...new Set(events.map((event) => event[key]))].sort();
+}
+
+export const venues = unique("venue");
+export const categories = unique("category");
+export const levels = unique("level");
+
+export function isAllDay(event) {
+  return !event.start.includes("T");
+}
+
+// local "YYYY-MM-DD" of a date or a date string
+export function toDateKey(value) {
+  if (typeof value === "string" && !value.includes("T")) return value;
+
+  const date = new Date(value);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+// all-day dates are parsed as local midnight so they stay on their day
+export function toDate(value) {
+  return new Date(value.includes("T") ? value : `${value}T00:00:00`);
+}
+
+// every day an event covers, as date keys
+export function getEventDays(event) {
+  const days = [];
+  const day = toDate(toDateKey(event.start));
+  const last = toDateKey(event.end || event.start);
+
+  while (toDateKey(day) <= last) {
+    days.push(toDateKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+}
+
+export function formatEventDates(event) {
+  const start = toDate(event.start);
+  const end = toDate(event.end || event.start);
+  const date = { day: "numeric", month: "short", year: "numeric" };
+  const time = { hour: "2-digit", minute: "2-digit" };
+
+  if (!isAllDay(event)) {
+    return `${d(start, date)}, ${d(start, time)} – ${d(end, time)}`;
+  }
+  if (toDateKey(start) === toDateKey(end)) {
+    return d(start, date);
+  }
+  return `${d(start, { day: "numeric", month: "short" })} – ${d(end, date)}`;
+}
@@ -0,0 +1,41 @@
+import {
+  getByTag,
+  getCollection,
+  getEntry,
+  getTags,
+} from "@/assets/js/content";
+
+// posts live in src/content/posts, one Markdown file per post
+export const PER_PAGE = 6;
+
+const WORDS_PER_MINUTE = 200;
+
+// newest first, only those tagged `tag` when it is given
+export function getPosts(tag) {
+  return tag ? getByTag("posts", tag) : getCollection("posts");
+}
+
+export function getPost(slug) {
+  return getEntry("posts", slug);
+}
+
+export function getPostTags() {
+  return getTags("posts");
+}
+
+// whole minutes, at least one
+export function getReadingTime(post) {
+  const words = post.text.split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
+
+// the posts around `slug` in the listing: `newer` is shown before it
+export function getAdjacentPosts(slug) {
+  const posts = getCollection("posts");
+  const index = posts.findIndex((post) => post.id === slug);
+
+  return {
+    newer: index > 0 ? posts[index - 1] : null,
+    older: index >= 0 ? posts[index + 1] || null : null,
+  };
+}
@@ -1,84 +1,15 @@
-export default [
-  {
-    heading: "Video Highlights",
-    description:
-      "A selection of 45 video from all egyptian and world competitions",
-    items: [
-      {
-        // image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2023/10/03053244/DSC_1129-1536x1204.jpg",
-        image: "https://scontent.fcai20-4.fna.fbcdn.net/v/t39.30808-6/385081942_663171099240740_498327928008711488_n.jpg?_nc_cat=107&ccb=1-7&_nc_sid=dd5e9f&_nc_eui2=AeHZE1C6eByc96C95onwsgBnnLfwmuftHruct_Ca5-0eu4NySY4pFqPom1HTdi2jjmA_VoGnlz6-0tI8Am_Eq7qt&_nc_ohc=MBOwkKZnzbEAX898UpW&_nc_ht=scontent.fcai20-4.fna&oh=00_AfCA0hhlSD8aYW8MPZ5vUvbe5S1UpN6nLWB1Xe9WDVapcQ&oe=65B2058A",
-        title: "",
-        subtitle: "2023 World Rowing Beach Sprint Finals - Men's Solo - A-Final - ITA vs ESP",
-        route: "presentation",
-        pro: false
-      },
-      {
-        // image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2023/09/05021644/Z9D_0922-1536x1024.jpg",
-        image: "https://scontent-hbe1-1.xx.fbcdn.net/v/t39.30808-6/313422128_467103325514186_2932563404425599582_n.jpg?_nc_cat=109&ccb=1-7&_nc_sid=dd5e9f&_nc_eui2=AeFIor3roRJ25qC_24kSWM2rxYb05Uurm-PFhvTlS6ub44_d_JW2Ohj8iXyX4bGsffn3wPain9tzpMlvte_LposB&_nc_ohc=-4znO2fAQoAAX9Fzegf&_nc_ht=scontent-hbe1-1.xx&oh=00_AfDi8VFnbqfYN9YT354RfqHm8fbxjzAZd2tl2c9HjujzrA&oe=65B20B63",
-        title: "",
-        subtitle: "2023 World Rowing Championships - Belgrade, Serbia - Lightweight Women's Double Sculls (LW2x) A-final",
-        route: "presentation",
-        pro: false
-      },
-      {
-        // image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2023/09/09132953/Z9D_5535-1536x1024.jpg",
-        image: "https://scontent.fcai20-4.fna.fbcdn.net/v/t39.30808-6/402656192_689661136591736_7261242667228808825_n.jpg?_nc_cat=100&ccb=1-7&_nc_sid=dd5e9f&_nc_eui2=AeH5p7JoxO4QnFJd1cSDqfrEom2OdJr0YYWibY50mvRhhRErW9ZUV6HI4Rz5-JPrrzk_E0_qXfsklwDTIewn8e2r&_nc_ohc=2WWc6qzVUzsAX-QFzXH&_nc_ht=scontent.fcai20-4.fna&oh=00_AfAqNHCGIlh7o8UemmgkjQ79OYWIPth4XRr49vo6DQ2B3Q&oe=65B142A6",
-        title: "",
-        subtitle: "How to Beach Sprint - Beach Sprint Finals format explained",
-        route: "presentation",
-        pro: false
-      },
-      {
-        // image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2023/05/29041739/Z9D_3970-1536x1024.jpg",
-        image: "https://scontent.fcai20-4.fna.fbcdn.net/v/t39.30808-6/402399755_689660819925101_9069472533753562423_n.jpg?_nc_cat=103&ccb=1-7&_nc_sid=dd5e9f&_nc_eui2=AeEZC7hMhi4oGJ6CHIGEbma6NTGw2k87U8U1MbDaTztTxXv8k4Suw69Sbp2OuU8stlYX-Tp56-i3l_0LGcQmmry_&_nc_ohc=CLVRHwilBLMAX8O8KSZ&_nc_ht=scontent.fcai20-4.fna&oh=00_AfCS3r5pPJm37-wyObpkB_scaqL_x4wuNvmppa4tZ-j5oA&oe=65B077B8",
-        title: "",
-        subtitle: "Superwomen - Elite rowers talk about being mothers",
-        route: "presentation",
-        pro: false
-      },
-      {
-        // image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2021/09/25233908/DSC_9118-1536x1024.jpg",
-        image: "https://scontent.fcai20-4.fna.fbcdn.net/v/t39.30808-6/398905169_681027687455081_7698358947941812768_n.jpg?_nc_cat=102&ccb=1-7&_nc_sid=dd5e9f&_nc_eui2=AeGMfcsWbvkdxkaHcirQXzWs9GlOF8rg1hr0aU4XyuDWGqUwuuIb39Ocx-Lt5tKyxcuJNHreWNrsKxkVVXml-P1i&_nc_ohc=Amgq1lWt210AX9lY8w1&_nc_ht=scontent.fcai20-4.fna&oh=00_AfCJ3AgbBcGn-6XNVI5PYf5nWPgnZt-ipIiDID0vvp6o7w&oe=65B0B2C2",
-        title: "",
-        subtitle: "2023 World Rowing Beach Sprint Finals - Men's Solo - A-Final - ITA vs ESP",
-        route: "presentation",
-        pro: false
-      },
-      {
-        // image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2023/02/26035516/D5A_0353-1024x683.jpg",
-        image: "https://scontent.fcai20-4.fna.fbcdn.net/v/t39.30808-6/396187983_677434007814449_107520892860798260_n.jpg?_nc_cat=108&ccb=1-7&_nc_sid=dd5e9f&_nc_eui2=AeHGGG8wPlBTE4sV3U7b2gSGBijxefgGPyEGKPF5-AY_IV062Gvj6lW8Pl7GnEnpmGWgnrW_MmNF4UkX49lwFcpn&_nc_ohc=KiXI-ySszhMAX8BKJKW&_nc_ht=scontent.fcai20-4.fna&oh=00_AfAbHf2GFBhC-HS7GepUuZ26cN1pnlQTfVFquET3yfWxhg&oe=65B05BD5",
-        title: "",
-        subtitle: "2023 World Rowing Championships - Belgrade, Serbia - Lightweight Women's Double Sculls (LW2x) A-final",
-        route: "presentation",
-        pro: false
-      }
-    ]
-  },
-  {
-    heading: "Learn About Rowing",
-    description: "30+ types of rowing around the world",
-    items: [
-      {
-        image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2020/12/04182752/university-1980x1320.jpg",
-        title: "About World Rowing",
-        subtitle: "",
-        route: "presentation",
-        pro: false
-      },
-      {
-        image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2023/09/06141117/DSC_7501-1980x1287.jpg",
-        title: "Rowing and Events",
-        subtitle: "",
-        route: "presentation",
-        pro: false
-      },
-      {
-        image: "https://d2cx26qpfwuhvu.cloudfront.net/worldrowing/wp-content/uploads/2022/07/30030254/Z9D_8556-1024x683.jpg",
-        title: "Sustainability",
-        subtitle: "",
-        route: "presentation",
-        pro: false
-      }
-    ]
-  },
-];
+import { getCollection } from "@/assets/js/content";
+import { getVideo } from "@/views/Videos/Data";
+
+// one JSON file per block in src/content/blocks, in their `order`, with each
+// item's `route` turned into a router location and videos showing their poster
+export default getCollection("blocks").map(({ data }) => ({
+  ...data,
+  items: data.items.map(({ video, ...item }) => ({
+    ...item,
+    image: item.image || (video && getVideo(video)?.poster) || "",
+    route: video
+      ? { name: item.route, params: { id: video } }
+      : { name: item.route },
+  })),
+}));
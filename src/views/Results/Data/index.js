@@ -0,0 +1,90 @@
+import { parseBoatClass, rounds, rankCrews } from "@/assets/js/race-timing";
+import { t, d } from "@/assets/js/useI18n";
+
+// one JSON fixture per regatta, see egyptian-championships-2026.json for the
+// shape, the optional `photos` are the images of MaterialGallery with `src`
+// and `thumb` file names in src/assets/img. Crew athletes are `{ id, name }`,
+// `id` is that of athletes.json and left out for rowers who are not in the
+// directory.
+const files = import.meta.globEager("./regattas/*.json");
+const images = import.meta.globEager("../../../assets/img/**/*.jpg");
+
+function getImage(name) {
+  return name ? images[`../../../assets/img/${name}`]?.default || "" : "";
+}
+
+export const regattas = Object.values(files)
+  .map(({ default: regatta }) => ({
+    ...regatta,
+    photos: regatta.photos?.map((photo) => ({
+      ...photo,
+      src: getImage(photo.src),
+      thumb: getImage(photo.thumb),
+    })),
+  }))
+  .sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+export function getRegatta(id) {
+  return regattas.find((regatta) => regatta.id === id);
+}
+
+export function getEvent(regattaId, eventId) {
+  return getRegatta(regattaId)?.events.find((event) => event.id === eventId);
+}
+
+export function formatDates({ startDate, endDate }) {
+  if (!endDate || endDate === startDate) {
+    return d(startDate, { day: "numeric", month: "long", year: "numeric" });
+  }
+  return `${d(startDate, { day: "numeric", month: "short" })} – ${d(endDate, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  })}`;
+}
+
+// round names in the current language, for getRaceName and describeProgression
+export function getRoundNames() {
+  return Object.fromEntries(
+    Object.keys(rounds).map((round) => [round, t(`results.rounds.${round}`)])
+  );
+}
+
+// "LW2x" in the current language, the code itself when it isn't one
+export function getBoatClassName(code) {
+  const boatClass = parseBoatClass(code);
+  if (!boatClass) return code;
+
+  const { lightweight, gender, boat } = boatClass;
+  return t(`results.boatClass.${lightweight ? "lightweight" : "open"}`, {
+    gender: t(`results.genders.${gender}`),
+    boat: t(`results.boats.${boat}`),
+  });
+}
+
+// every race the athlete with this id took part in, most recent first
+export function getAthleteResults(id) {
+  const results = [];
+
+  regattas.forEach((regatta) =>
+    regatta.events.forEach((event) =>
+      event.races.forEach((race) => {
+        const crew = rankCrews(race.crews, race.progression).find((item) =>
+          item.athletes.some((athlete) => athlete.id === id)
+        );
+        if (!crew) return;
+
+        results.push({
+          id: `${regatta.id}/${event.id}/${race.id}`,
+          regatta,
+          event,
+          race,
+          date: race.startTime,
+          crew,
+        });
+      })
+    )
+  );
+
+  return results.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
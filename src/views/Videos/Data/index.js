@@ -0,0 +1,44 @@
+import { getCollection, getEntry } from "@/assets/js/content";
+import { getThumbnail, parseVideo } from "@/assets/js/video";
+
+// videos live in src/content/videos, one JSON file per video
+
+const providers = { youtube: "YouTube", vimeo: "Vimeo" };
+
+function toVideo({ id, data }) {
+  const video = parseVideo(data.url);
+
+  return {
+    id,
+    ...data,
+    video,
+    poster: data.poster || getThumbnail(video),
+    // who the player loads from, empty for files of the site
+    provider: providers[video.provider] || "",
+  };
+}
+
+// newest first, only those in `category` when it is given
+export function getVideos(category) {
+  return getCollection(
+    "videos",
+    ({ data }) => !category || data.category === category
+  ).map(toVideo);
+}
+
+export function getVideo(id) {
+  const entry = getEntry("videos", id);
+  return entry ? toVideo(entry) : null;
+}
+
+// [{ category, count }], most used first
+export function getCategories() {
+  const counts = {};
+  getCollection("videos").forEach(
+    ({ data }) => (counts[data.category] = (counts[data.category] || 0) + 1)
+  );
+
+  return Object.entries(counts)
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count);
+}
@@ -3,10 +3,27 @@ import { fileURLToPath, URL } from "url";
 import { defineConfig } from "vite";
 import vue from "@vitejs/plugin-vue";
 
+import snippets from "./vite/snippets";
+import routeTitles from "./vite/route-titles";
+import content from "./vite/content";
+import feed from "./vite/feed";
+import collections from "./src/content/config";
+
 // https://vitejs.dev/config/
 export default defineConfig({
   base: "/vite-deployment/",
-  plugins: [vue()],
+  plugins: [
+    vue(),
+    snippets(),
+    routeTitles(),
+    content(collections),
+    feed({
+      schema: collections.posts,
+      title: "Egypt Rowing News",
+      description:
+        "News about events, athletes and clubs from the Egyptian Rowing Federation",
+    }),
+  ],
   resolve: {
     alias: {
       "@": fileURLToPath(new URL("./src", import.meta.url)),
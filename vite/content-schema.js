@@ -0,0 +1,146 @@
+import { parseVideo } from "../src/assets/js/video";
+
+// Schemas for the content collections in src/content/config.js. Each field
+// parses a value and throws with the field's path when it does not fit, the
+// top-level object of an entry is parsed with the path "":
+//
+//   s.object({ title: s.string(), tags: s.array(s.string()).default([]) })
+
+function field(check) {
+  return {
+    required: true,
+    fallback: undefined,
+
+    optional() {
+      return { ...this, required: false };
+    },
+
+    // also makes the field optional
+    default(value) {
+      return { ...this, required: false, fallback: value };
+    },
+
+    parse(value, path) {
+      if (value === undefined || value === null) {
+        if (this.required) throw new Error(`${path || "entry"} is required`);
+        return this.fallback;
+      }
+      return check(value, path);
+    },
+  };
+}
+
+function fail(path, expected, value) {
+  throw new Error(
+    `${path || "entry"} must be ${expected}, got ${JSON.stringify(value)}`
+  );
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function pad(number) {
+  return String(number).padStart(2, "0");
+}
+
+const string = () =>
+  field((value, path) =>
+    typeof value === "string" ? value : fail(path, "a string", value)
+  );
+
+const number = () =>
+  field((value, path) =>
+    Number.isFinite(value) ? value : fail(path, "a number", value)
+  );
+
+const boolean = () =>
+  field((value, path) =>
+    typeof value === "boolean" ? value : fail(path, "true or false", value)
+  );
+
+// "2026-03-14", YAML turns unquoted dates into Date objects so those are
+// accepted too and written back as strings
+const date = () =>
+  field((value, path) => {
+    if (value instanceof Date && !isNaN(value)) {
+      return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(
+        value.getUTCDate()
+      )}`;
+    }
+    if (
+      typeof value === "string" &&
+      /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      !isNaN(new Date(value))
+    ) {
+      return value;
+    }
+    return fail(path, "a YYYY-MM-DD date", value);
+  });
+
+// a YouTube, Vimeo or video file link, see src/assets/js/video.js
+const video = () =>
+  field((value, path) =>
+    typeof value === "string" && parseVideo(value)
+      ? value
+      : fail(path, "a YouTube, Vimeo or video file URL", value)
+  );
+
+const oneOf = (values) =>
+  field((value, path) =>
+    values.includes(value) ? value : fail(path, `one of ${values}`, value)
+  );
+
+const array = (item) =>
+  field((value, path) =>
+    Array.isArray(value)
+      ? value.map((entry, index) => item.parse(entry, `${path}[${index}]`))
+      : fail(path, "a list", value)
+  );
+
+// unknown keys are errors, they are usually typos of optional fields
+const object = (shape) =>
+  field((value, path) => {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      fail(path, "an object", value);
+    }
+    const unknown = Object.keys(value).filter((key) => !(key in shape));
+    if (unknown.length) {
+      throw new Error(
+        `${path || "entry"} has unknown fields: ${unknown.join(", ")}`
+      );
+    }
+    return Object.fromEntries(
+      Object.entries(shape).map(([key, schema]) => [
+        key,
+        schema.parse(value[key], join(path, key)),
+      ])
+    );
+  });
+
+// a plain value, or one per language: { en: "Trainings", ar: "تدريبات" }
+const localized = (item) =>
+  field((value, path) => {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      return item.parse(value, path);
+    }
+    if (!("en" in value)) throw new Error(`${join(path, "en")} is required`);
+    return Object.fromEntries(
+      Object.entries(value).map(([code, entry]) => [
+        code,
+        item.parse(entry, join(path, code)),
+      ])
+    );
+  });
+
+export const s = {
+  string,
+  number,
+  boolean,
+  date,
+  video,
+  oneOf,
+  array,
+  object,
+  localized,
+};
@@ -0,0 +1,65 @@
+import { relative, resolve, sep } from "path";
+import yaml from "js-yaml";
+import { renderMarkdown, toPlainText } from "./markdown";
+
+// Markdown and JSON files in src/content/<collection>/ are checked against
+// the collection's schema, see src/content/config.js. A file that does not
+// fit fails the build, or shows the error overlay in dev.
+//
+// Markdown files become { data, html, text }: the frontmatter, the rendered
+// body and its plain text. JSON files stay JSON, with defaults filled in.
+
+const frontmatterPattern = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+export function parseMarkdown(source) {
+  const match = source.match(frontmatterPattern);
+  const attributes = match ? yaml.load(match[1]) ?? {} : {};
+  const body = match ? source.slice(match[0].length) : source;
+
+  return { attributes, body };
+}
+
+export default function content(collections, dir = "src/content") {
+  let root;
+  let base;
+
+  return {
+    name: "content",
+    enforce: "pre",
+
+    configResolved(config) {
+      root = resolve(config.root, dir);
+      base = config.base;
+    },
+
+    transform(code, id) {
+      const [file] = id.split("?");
+      if (!file.startsWith(root + sep) || !/\.(md|json)$/.test(file)) {
+        return null;
+      }
+
+      const path = relative(root, file);
+      const name = path.split(sep)[0];
+      const collection = collections[name];
+      if (!collection || path === name) {
+        this.error(`${dir}/${path}: not in a collection folder`);
+      }
+
+      try {
+        if (file.endsWith(".json")) {
+          return JSON.stringify(collection.parse(JSON.parse(code), ""));
+        }
+
+        const { attributes, body } = parseMarkdown(code);
+        const entry = {
+          data: collection.parse(attributes, ""),
+          html: renderMarkdown(body, { base }),
+          text: toPlainText(body),
+        };
+        return `export default ${JSON.stringify(entry)};`;
+      } catch (error) {
+        this.error(`${dir}/${path}: ${error.message}`);
+      }
+    },
+  };
+}
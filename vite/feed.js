@@ -0,0 +1,117 @@
+/* eslint-env node */
+import { readdirSync, readFileSync } from "fs";
+import { basename, resolve } from "path";
+import { parseMarkdown } from "./content";
+
+// Writes an RSS 2.0 feed of a Markdown collection to `fileName` at build
+// time and serves it in dev. RSS links have to be absolute, so the build
+// leaves the feed out without `site`, the deployed origin, e.g.
+// SITE_URL=https://example.org. The dev server falls back to its own links.
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export default function feed({
+  schema,
+  title,
+  description,
+  collection = "posts",
+  dir = "src/content",
+  // the listing page, relative to `base`, posts are at `${route}/${slug}`
+  route = "news",
+  fileName = "feed.xml",
+  site = process.env.SITE_URL || "",
+  limit = 20,
+}) {
+  let config;
+
+  function getLink(origin, relative) {
+    return `${origin.replace(/\/$/, "")}${config.base}${relative}`;
+  }
+
+  // the content plugin reports bad files, the feed only leaves them out
+  function readPost(file) {
+    try {
+      const source = readFileSync(file, "utf-8");
+      return {
+        slug: basename(file, ".md"),
+        data: schema.parse(parseMarkdown(source).attributes, ""),
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function render(origin) {
+    const folder = resolve(config.root, dir, collection);
+    const posts = readdirSync(folder)
+      .filter((file) => file.endsWith(".md"))
+      .map((file) => readPost(resolve(folder, file)))
+      .filter(Boolean)
+      .sort((a, b) => b.data.date.localeCompare(a.data.date))
+      .slice(0, limit);
+
+    const items = posts.map(({ slug, data }) => {
+      const link = getLink(origin, `${route}/${slug}`);
+      const categories = data.tags
+        .map((tag) => `      <category>${escapeXml(tag)}</category>`)
+        .join("\n");
+
+      return `    <item>
+      <title>${escapeXml(data.title)}</title>
+      <link>${escapeXml(link)}</link>
+      <guid>${escapeXml(link)}</guid>
+      <pubDate>${new Date(data.date).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(data.author)}</dc:creator>
+      <description>${escapeXml(data.description)}</description>
+${categories}
+    </item>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(getLink(origin, route))}</link>
+    <description>${escapeXml(description)}</description>
+    <atom:link href="${escapeXml(
+      getLink(origin, fileName)
+    )}" rel="self" type="application/rss+xml" />
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+  }
+
+  return {
+    name: "feed",
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        if (req.url !== `${config.base}${fileName}`) return next();
+
+        res.setHeader("Content-Type", "application/rss+xml; charset=utf-8");
+        res.end(render(site || `http://${req.headers.host}`));
+      });
+    },
+
+    generateBundle() {
+      if (!site) {
+        this.warn(
+          `${fileName} was skipped, it needs absolute links: set SITE_URL to the deployed origin, e.g. SITE_URL=https://example.org yarn build`
+        );
+        return;
+      }
+      this.emitFile({ type: "asset", fileName, source: render(site) });
+    },
+  };
+}
@@ -0,0 +1,264 @@
+import { getEmbedUrl, parseVideo } from "../src/assets/js/video";
+
+// The Markdown the content collections need, rendered at build time:
+// headings, paragraphs, block quotes, lists, fenced code, horizontal rules,
+// and inline code, links, images, bold and italic. Raw HTML is escaped.
+//
+// Videos: a YouTube or Vimeo link alone in its paragraph becomes a player,
+// and so does an image whose file is a video, ![Finish line](/finish.mp4).
+// Links and images starting with "/" get `base` in front, like Vite's own.
+// They have to be relative, http(s): or mailto:, anything else, javascript:
+// included, throws and so fails the build.
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// "Race Day, 2026!" -> "race-day-2026", ids for heading anchors
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/<[^>]+>/g, "")
+    .replace(/&\w+;/g, "")
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .trim()
+    .replace(/\s+/g, "-");
+}
+
+const schemes = ["http", "https", "mailto"];
+
+function checkUrl(url) {
+  const scheme = url.match(/^([a-z][a-z\d+.-]*):/i)?.[1].toLowerCase();
+  // browsers drop control characters, "\x01javascript:" is javascript: too
+  const control = [...url].some(
+    (char) => char.charCodeAt(0) < 32 || char.charCodeAt(0) === 127
+  );
+
+  if (control || (scheme && !schemes.includes(scheme))) {
+    throw new Error(
+      `${url}: links and images have to be relative, http(s): or mailto:`
+    );
+  }
+  return url;
+}
+
+function resolveUrl(url, base = "/") {
+  checkUrl(url);
+  return url.startsWith("/") && !url.startsWith("//")
+    ? `${base.replace(/\/$/, "")}${url}`
+    : url;
+}
+
+function renderVideo(video, title = "") {
+  if (video.provider === "file") {
+    return `<video src="${video.url}" title="${title}" controls preload="metadata"></video>`;
+  }
+  return `<div class="ratio ratio-16x9"><iframe src="${getEmbedUrl(
+    video
+  )}" title="${
+    title || "Video"
+  }" loading="lazy" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe></div>`;
+}
+
+function renderEmphasis(text) {
+  return text
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>")
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>")
+    .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/ {2,}\n/g, "<br>\n");
+}
+
+// a link or image URL, which may hold balanced parentheses as in
+// https://en.wikipedia.org/wiki/Rowing_(sport)
+const urlSource = String.raw`((?:[^()\s]|\([^()\s]*\))+)`;
+const imagePattern = new RegExp(
+  String.raw`!\[([^\]]*)\]\(${urlSource}(?:\s+&quot;(.*?)&quot;)?\)`,
+  "g"
+);
+const linkPattern = new RegExp(String.raw`\[([^\]]+)\]\(${urlSource}\)`, "g");
+
+// links and images are set aside while emphasis is applied, so underscores
+// and asterisks in their URLs stay as they are
+function renderText(text, options) {
+  const tags = [];
+  const keep = (tag) => `\uE000${tags.push(tag) - 1}\uE000`;
+
+  const formatted = text
+    .replace(imagePattern, (match, alt, src, title) => {
+      const url = resolveUrl(src, options.base);
+      const video = parseVideo(url);
+      if (video?.provider === "file") return keep(renderVideo(video, alt));
+
+      return keep(
+        `<img src="${url}" alt="${alt}"${
+          title ? ` title="${title}"` : ""
+        } loading="lazy">`
+      );
+    })
+    .replace(linkPattern, (match, label, href) => {
+      const external = /^https?:\/\//.test(href)
+        ? ' target="_blank" rel="noopener"'
+        : "";
+      return keep(
+        `<a href="${resolveUrl(
+          href,
+          options.base
+        )}"${external}>${renderEmphasis(label)}</a>`
+      );
+    });
+
+  return renderEmphasis(formatted).replace(
+    /\uE000(\d+)\uE000/g,
+    (match, index) => tags[index]
+  );
+}
+
+// code spans first so nothing inside them is formatted
+export function renderInline(text, options = {}) {
+  return escapeHtml(text)
+    .split(/(`+)([\s\S]*?[^`])\1(?!`)/)
+    .map((part, index) => {
+      if (index % 3 === 1) return "";
+      if (index % 3 === 2) return `<code>${part.trim()}</code>`;
+      return renderText(part, options);
+    })
+    .join("");
+}
+
+const patterns = {
+  fence: /^(```|~~~)\s*([\w-]*)\s*$/,
+  heading: /^(#{1,6})\s+(.*?)\s*#*\s*$/,
+  rule: /^(?:-{3,}|\*{3,}|_{3,})\s*$/,
+  quote: /^>\s?/,
+  bullet: /^\s*[-*+]\s+/,
+  ordered: /^\s*\d+[.)]\s+/,
+};
+
+function isBlockStart(line) {
+  return (
+    patterns.fence.test(line) ||
+    patterns.heading.test(line) ||
+    patterns.rule.test(line) ||
+    patterns.quote.test(line) ||
+    patterns.bullet.test(line) ||
+    patterns.ordered.test(line)
+  );
+}
+
+export function renderMarkdown(source, options = {}) {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  const html = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(patterns.fence);
+    if (fence) {
+      const code = [];
+      index++;
+      while (index < lines.length && !lines[index].startsWith(fence[1])) {
+        code.push(lines[index++]);
+      }
+      index++;
+      const language = fence[2] ? ` class="language-${fence[2]}"` : "";
+      html.push(
+        `<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`
+      );
+      continue;
+    }
+
+    const heading = line.match(patterns.heading);
+    if (heading) {
+      const level = heading[1].length;
+      const content = renderInline(heading[2], options);
+      html.push(`<h${level} id="${slugify(content)}">${content}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (patterns.rule.test(line)) {
+      html.push("<hr>");
+      index++;
+      continue;
+    }
+
+    if (patterns.quote.test(line)) {
+      const quote = [];
+      while (index < lines.length && patterns.quote.test(lines[index])) {
+        quote.push(lines[index++].replace(patterns.quote, ""));
+      }
+      html.push(
+        `<blockquote>${renderMarkdown(quote.join("\n"), options)}</blockquote>`
+      );
+      continue;
+    }
+
+    const list = patterns.bullet.test(line)
+      ? { tag: "ul", marker: patterns.bullet }
+      : patterns.ordered.test(line)
+      ? { tag: "ol", marker: patterns.ordered }
+      : null;
+    if (list) {
+      const items = [];
+      while (index < lines.length && lines[index].trim()) {
+        if (list.marker.test(lines[index])) {
+          items.push(lines[index].replace(list.marker, ""));
+        } else if (isBlockStart(lines[index])) {
+          break;
+        } else {
+          // a wrapped line continues the item before it
+          items[items.length - 1] += `\n${lines[index].trim()}`;
+        }
+        index++;
+      }
+      const content = items
+        .map((item) => `<li>${renderInline(item, options)}</li>`)
+        .join("");
+      html.push(`<${list.tag}>${content}</${list.tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      index < lines.length &&
+      lines[index].trim() &&
+      !isBlockStart(lines[index])
+    ) {
+      paragraph.push(lines[index++]);
+    }
+    const video =
+      paragraph.length === 1 && /^\S+$/.test(paragraph[0].trim())
+        ? parseVideo(escapeHtml(paragraph[0].trim()))
+        : null;
+    if (video) checkUrl(video.url);
+    html.push(
+      video
+        ? renderVideo(video)
+        : `<p>${renderInline(paragraph.join("\n"), options)}</p>`
+    );
+  }
+
+  return html.join("\n");
+}
+
+// "Some **bold** text" -> "Some bold text", for excerpts and reading time
+export function toPlainText(source) {
+  return renderMarkdown(source)
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
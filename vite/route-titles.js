@@ -0,0 +1,69 @@
+import { readFileSync } from "fs";
+import { dirname, resolve } from "path";
+
+// `import titles from "virtual:route-titles"` maps each route name in
+// src/router/index.js to the title its view passes to BaseLayout:
+//
+//   title="Buttons"                -> "Buttons"
+//   :title="t('calendar.title')"   -> { key: "calendar.title" }
+//
+// Views without BaseLayout, or with a computed title, are left out.
+
+const ID = "virtual:route-titles";
+const RESOLVED_ID = `\0${ID}`;
+
+const importPattern = /^import\s+(\w+)\s+from\s+"(\.[^"]+\.vue)";/gm;
+const routePattern = /name:\s*"([^"]+)",\s*component:\s*(\w+)/g;
+const titlePattern = /<BaseLayout\b[^>]*?\s(:?)title="([^"]*)"/;
+const keyPattern = /^t\(\s*'([\w.]+)'\s*\)$/;
+
+export function extractTitle(source) {
+  const match = source.match(titlePattern);
+  if (!match) return null;
+
+  const [, bound, value] = match;
+  if (!bound) return value;
+
+  const key = value.trim().match(keyPattern);
+  return key ? { key: key[1] } : null;
+}
+
+export default function routeTitles(router = "src/router/index.js") {
+  let routerFile;
+
+  return {
+    name: "route-titles",
+
+    configResolved(config) {
+      routerFile = resolve(config.root, router);
+    },
+
+    resolveId(id) {
+      return id === ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      this.addWatchFile(routerFile);
+      const source = readFileSync(routerFile, "utf-8");
+      const views = Object.fromEntries(
+        [...source.matchAll(importPattern)].map(([, name, path]) => [
+          name,
+          resolve(dirname(routerFile), path),
+        ])
+      );
+
+      const titles = {};
+      [...source.matchAll(routePattern)].forEach(([, name, component]) => {
+        if (!views[component]) return;
+
+        this.addWatchFile(views[component]);
+        const title = extractTitle(readFileSync(views[component], "utf-8"));
+        if (title) titles[name] = title;
+      });
+
+      return `export default ${JSON.stringify(titles)};`;
+    },
+  };
+}
@@ -0,0 +1,74 @@
+import { readFileSync } from "fs";
+
+// `import code from "./Example.vue?snippet"` gives the source of Example.vue
+// as a string, for the Code tab of the sections View.vue. When the file has
+// region markers only the marked lines are kept, e.g.
+//
+//   <!-- #region snippet -->
+//   <MaterialButton color="success">Button</MaterialButton>
+//   <!-- #endregion snippet -->
+//
+// `// #region snippet` works the same way inside <script>.
+
+const QUERY = "?snippet";
+const PREFIX = "\0snippet:";
+
+const start = /^\s*(?:<!--|\/\/|\/\*)\s*#region snippet\b/;
+const end = /^\s*(?:<!--|\/\/|\/\*)\s*#endregion snippet\b/;
+
+// removes the indentation every line of a region shares
+function dedent(lines) {
+  const indents = lines
+    .filter((line) => line.trim())
+    .map((line) => line.match(/^\s*/)[0].length);
+  const indent = Math.min(...indents, Infinity);
+  return lines.map((line) => line.slice(indent === Infinity ? 0 : indent));
+}
+
+export function extractSnippet(source) {
+  const lines = source.split(/\r?\n/);
+  if (!lines.some((line) => start.test(line))) return source;
+
+  const regions = [];
+  let region = null;
+
+  lines.forEach((line) => {
+    if (start.test(line)) region = [];
+    else if (end.test(line)) {
+      if (region) regions.push(dedent(region).join("\n"));
+      region = null;
+    } else if (region) region.push(line);
+  });
+
+  return `${regions.join("\n\n")}\n`;
+}
+
+export default function snippets() {
+  return {
+    name: "snippets",
+    enforce: "pre",
+
+    // a virtual id keeps the `.vue` file away from the Vue plugin
+    async resolveId(id, importer) {
+      if (!id.endsWith(QUERY)) return null;
+
+      const resolved = await this.resolve(
+        id.slice(0, -QUERY.length),
+        importer,
+        {
+          skipSelf: true,
+        }
+      );
+      return resolved && `${PREFIX}${resolved.id}`;
+    },
+
+    load(id) {
+      if (!id.startsWith(PREFIX)) return null;
+
+      const file = id.slice(PREFIX.length);
+      this.addWatchFile(file);
+      const snippet = extractSnippet(readFileSync(file, "utf-8"));
+      return `export default ${JSON.stringify(snippet)};`;
+    },
+  };
+}